@@ -0,0 +1,39 @@
+// Recover the job id / sheet / serial from a scan or render of a printed sheet.
+//
+//   node scripts/decodeTrackingDots.js page.png [--dpi 300] [--pitch-mm 1]
+//
+// The image should be a PNG scanned or rendered roughly straight; --dpi must match the scan.
+import fs from 'fs';
+import { PNG } from 'pngjs';
+import { decodeTrackingDots } from '../src/vector/trackingDots.js';
+
+const readOption = (args, name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx < 0) return fallback;
+  const value = Number(args[idx + 1]);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  return value;
+};
+
+async function run() {
+  const args = process.argv.slice(2);
+  const file = args.find((a, i) => !a.startsWith('--') && !(i > 0 && args[i - 1].startsWith('--')));
+  if (!file) {
+    throw new Error('Usage: node scripts/decodeTrackingDots.js <page.png> [--dpi 300] [--pitch-mm 1]');
+  }
+
+  const image = PNG.sync.read(fs.readFileSync(file));
+  const result = decodeTrackingDots(image, {
+    dpi: readOption(args, '--dpi', 300),
+    pitchMm: readOption(args, '--pitch-mm', 1),
+  });
+
+  console.log(JSON.stringify(result, null, 2));
+}
+
+run().catch((err) => {
+  console.error('[TrackingDots] Decode failed:', err.message);
+  process.exit(1);
+});
@@ -59,6 +59,7 @@ async function start() {
   const { default: downloadRoutes } = await import('./routes/downloadRoutes.js');
   const { default: normalizeSvgRoutes } = await import('./routes/normalizeSvg.js');
   const { default: overlayRoutes } = await import('./routes/overlayRoutes.js');
+  const { default: datasetRoutes } = await import('./routes/datasetRoutes.js');
   const { startTerminalJobPurgeLoop } = await import('./services/jobCleanup.js');
   const { pingPrintEngineHealth } = await import('./services/printEngineClient.js');
 
@@ -150,6 +151,7 @@ async function start() {
   app.use('/api', fontsRoutes);
   app.use('/api', printRoutes);
   app.use('/api/overlays', overlayRoutes);
+  app.use('/api/datasets', datasetRoutes);
   app.use('/api/download', downloadRoutes);
 
   const redisUrl = typeof process.env.REDIS_URL === 'string' ? process.env.REDIS_URL.trim() : '';
@@ -10,6 +10,7 @@ import { uploadToS3 } from '../services/s3.js';
 import { getVectorPdfQueue } from '../../queues/vectorQueue.js';
 import { authMiddleware, requireAdmin } from '../middleware/auth.js';
 import { materializeFinalPdfExportKey } from '../services/finalPdfExportService.js';
+import { FORENSIC_WATERMARK_MODES } from '../services/forensicWatermark.js';
 import Session from '../vectorModels/VectorSession.js';
 import BlockedIp from '../vectorModels/VectorBlockedIp.js';
 import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
@@ -80,12 +81,36 @@ router.post('/assign-job', authMiddleware, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'Invalid vectorMetadata', errors: validation.errors });
     }
 
+    // Dataset columns and cells are only known from S3; unknown columns and standard fonts that cannot
+    // draw the cells are rejected here.
+    if (Array.isArray(vectorMetadata.fields) && vectorMetadata.fields.length > 0) {
+      const { vectorLayoutEngine } = await import('../vector/vectorLayoutEngine.js');
+      const { datasetColumnErrors } = await import('../vector/dataset.js');
+      const { datasetFontErrors } = await import('../vector/fontRegistry.js');
+      let dataset;
+      try {
+        dataset = await vectorLayoutEngine.loadDatasetOnce(vectorMetadata.dataset?.key);
+      } catch {
+        return res.status(400).json({ message: 'Invalid vectorMetadata', errors: ['dataset.key could not be loaded'] });
+      }
+      const columnErrors = datasetColumnErrors(dataset, vectorMetadata.fields);
+      const datasetErrors = columnErrors.length > 0 ? columnErrors : await datasetFontErrors(dataset, vectorMetadata.fields);
+      if (datasetErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid vectorMetadata', errors: datasetErrors });
+      }
+    }
+
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
       return res.status(404).json({ message: 'User with this email not found' });
     }
 
-    const totalPages = Number(vectorMetadata?.layout?.totalPages || 1);
+    // repeatPerPage 'auto' is fixed here so the queued job carries the layout it was validated as.
+    const { resolveAutoSlots } = await import('../vector/sheetFit.js');
+    const jobMetadata = resolveAutoSlots(vectorMetadata);
+
+    const { resolveLayoutTotalPages } = await import('../vector/seriesValues.js');
+    const totalPages = Number(resolveLayoutTotalPages(jobMetadata) ?? 1);
 
     const jobDoc = await DocumentJobs.create({
       email: email.toLowerCase(),
@@ -115,7 +140,7 @@ router.post('/assign-job', authMiddleware, requireAdmin, async (req, res) => {
       {
         email: email.toLowerCase(),
         assignedQuota: pagesNum,
-        vectorMetadata,
+        vectorMetadata: jobMetadata,
         adminUserId: req.user._id,
         jobId: baseJobId,
       },
@@ -257,6 +282,35 @@ router.post('/documents/:id/color-mode', authMiddleware, requireAdmin, async (re
   }
 });
 
+// Per-recipient forensic stamp on served PDFs; null resets to the FORENSIC_WATERMARK_MODE default
+router.post('/documents/:id/forensic-watermark', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const mode = req.body?.mode ?? null;
+
+    if (mode !== null && !FORENSIC_WATERMARK_MODES.includes(mode)) {
+      return res.status(400).json({ message: `mode must be one of: ${FORENSIC_WATERMARK_MODES.join(', ')} or null` });
+    }
+
+    const doc = await Document.findById(id).exec();
+    if (!doc) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    doc.forensicWatermark = mode;
+    await doc.save();
+
+    return res.json({
+      success: true,
+      documentId: doc._id,
+      forensicWatermark: doc.forensicWatermark,
+    });
+  } catch (err) {
+    console.error('Set forensic watermark error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Assign or update quota for a user on a document (by userId)
 router.post('/documents/:id/assign', authMiddleware, requireAdmin, async (req, res) => {
   try {
@@ -0,0 +1,52 @@
+import express from 'express';
+import multer from 'multer';
+import crypto from 'crypto';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { uploadToS3WithKey } from '../services/s3.js';
+import { normalizeDataset, DATASET_MAX_BYTES, DATASET_KEY_PREFIX } from '../vector/dataset.js';
+
+const router = express.Router();
+const upload = multer({ limits: { fileSize: DATASET_MAX_BYTES } });
+
+// An oversized file or a broken multipart body gets a JSON 400 instead of Express's HTML error page.
+const uploadDatasetFile = (req, res, next) =>
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    const message = err?.code === 'LIMIT_FILE_SIZE' ? 'Dataset file is too large' : 'Dataset upload could not be read';
+    return res.status(400).json({ message });
+  });
+
+// Variable-data upload: CSV or JSON in, normalised { columns, rows } JSON stored in S3.
+// The returned key is referenced from vector metadata as dataset.key.
+router.post('/', authMiddleware, requireAdmin, uploadDatasetFile, async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ message: 'file is required' });
+    }
+
+    let dataset;
+    try {
+      dataset = normalizeDataset(file.buffer, { filename: file.originalname, mimetype: file.mimetype });
+    } catch (err) {
+      return res.status(400).json({ message: err?.message || 'Invalid dataset' });
+    }
+
+    const key = `${DATASET_KEY_PREFIX}${crypto.randomUUID()}.json`;
+    const body = Buffer.from(JSON.stringify(dataset), 'utf8');
+    const uploaded = await uploadToS3WithKey(body, 'application/json', key);
+
+    return res.status(201).json({
+      dataset_s3_key: uploaded.key,
+      columns: dataset.columns,
+      rowCount: dataset.rows.length,
+      // Fields bound to these columns need a registered font (the standard fonts are Latin-1 only).
+      unicodeColumns: dataset.unicodeColumns,
+    });
+  } catch (err) {
+    console.error('Dataset upload error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
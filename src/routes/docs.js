@@ -7,15 +7,24 @@ import Document from '../vectorModels/VectorDocument.js';
 import DocumentAccess from '../vectorModels/VectorDocumentAccess.js';
 import DocumentJobs from '../vectorModels/VectorDocumentJobs.js';
 import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
-import { uploadToS3WithKey, s3, downloadFromS3 } from '../services/s3.js';
+import { uploadToS3WithKey, s3, downloadFromS3, deleteFromS3 } from '../services/s3.js';
 import { GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { authMiddleware } from '../middleware/auth.js';
-import { A4_WIDTH, A4_HEIGHT, SAFE_MARGIN } from '../vector/constants.js';
+import { A4_WIDTH, A4_HEIGHT } from '../vector/constants.js';
+import { PAGE_SIZE_NAMES, resolvePageSize } from '../vector/pageSize.js';
+import { resolvePageMargins, DEFAULT_PRINTER_PROFILE } from '../vector/pageMargins.js';
 import { assertAndConsumePrintQuota } from '../services/printQuotaService.js';
 import { resolveFinalPdfKeyForServe } from '../services/finalPdfExportService.js';
 import { signJobPayload, getStableHmacPayload } from '../services/hmac.js';
 import { traceLog } from '../services/traceLog.js';
+import {
+  resolveForensicWatermarkMode,
+  buildForensicStamp,
+  stampPdfForRecipient,
+  recordForensicServe,
+  getRequestIp,
+} from '../services/forensicWatermark.js';
 import { svgBytesToPdfBytes } from '../vector/vectorLayoutEngine.js';
 
 const router = express.Router();
@@ -100,7 +109,12 @@ router.post('/:documentId/generate', authMiddleware, async (req, res) => {
 
     const placement = doc?.placementRules && typeof doc.placementRules === 'object' ? doc.placementRules : null;
 
-    const pdfBytes = await svgBytesToPdfBytes(bytes, { documentId: doc._id.toString(), placementRules: placement });
+    const pdfBytes = await svgBytesToPdfBytes(bytes, {
+      documentId: doc._id.toString(),
+      placementRules: placement,
+      pageSize: placement?.pageSize ?? undefined,
+      orientation: placement?.orientation ?? undefined,
+    });
 
     const outKey = `generated/${doc._id.toString()}.pdf`;
     const uploaded = await uploadToS3WithKey(Buffer.from(pdfBytes), 'application/pdf', outKey);
@@ -396,13 +410,15 @@ router.get('/:documentId/editor-proxy', authMiddleware, async (req, res) => {
       height: Number(content?.height) || pageH,
     };
 
-    const sm = Number(SAFE_MARGIN) || 0;
-    const safeMargins = { top: sm, right: sm, bottom: sm, left: sm };
+    // Margins in points, as the normalizer and the imposition use them; validated when the rules were saved.
+    const rules = doc?.placementRules && typeof doc.placementRules === 'object' ? doc.placementRules : null;
+    const safeMargins = resolvePageMargins(rules, { width: pageW, height: pageH }, 'placementRules');
 
     return res.json({
       page: { widthPt: pageW, heightPt: pageH },
       contentBBox,
       safeMargins,
+      printerProfile: rules?.printerProfile ?? DEFAULT_PRINTER_PROFILE,
     });
   } catch (err) {
     console.error('Editor proxy error', err);
@@ -435,6 +451,10 @@ router.put('/:documentId/placement-rules', authMiddleware, async (req, res) => {
     const offsetX = Number(seriesPlacement?.offset?.x);
     const offsetY = Number(seriesPlacement?.offset?.y);
     const rotation = Number(seriesPlacement?.rotation || 0);
+    const pageSize = req.body?.pageSize ?? null;
+    const orientation = req.body?.orientation ?? null;
+    const margins = req.body?.margins ?? null;
+    const printerProfile = req.body?.printerProfile ?? null;
 
     if (!anchor) {
       return res.status(400).json({ message: 'seriesPlacement.anchor is required' });
@@ -445,6 +465,16 @@ router.put('/:documentId/placement-rules', authMiddleware, async (req, res) => {
     if (!Number.isFinite(rotation)) {
       return res.status(400).json({ message: 'seriesPlacement.rotation must be a finite number' });
     }
+    if ((pageSize !== null || orientation !== null) && !resolvePageSize(pageSize ?? 'A4', orientation)) {
+      return res.status(400).json({
+        message: `pageSize must be one of: ${PAGE_SIZE_NAMES.join(', ')} or { widthMm, heightMm }; orientation must be portrait or landscape`,
+      });
+    }
+    try {
+      resolvePageMargins({ margins, printerProfile }, resolvePageSize(pageSize ?? 'A4', orientation), 'placementRules');
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
 
     await Document.updateOne(
       { _id: doc._id },
@@ -456,6 +486,10 @@ router.put('/:documentId/placement-rules', authMiddleware, async (req, res) => {
               offset: { x: offsetX, y: offsetY },
               rotation,
             },
+            pageSize,
+            orientation,
+            margins,
+            printerProfile,
           },
         },
       }
@@ -627,6 +661,35 @@ router.get('/:documentId/status', authMiddleware, async (req, res) => {
   }
 });
 
+// Forensic mode: the stored PDF is buffered and stamped for this recipient / print event. Callers stamp
+// before consuming the print quota, so a stamping failure does not cost a print.
+const stampForensicPdf = async (req, { key, mode, serial }) => {
+  const stamp = buildForensicStamp({ email: req.user.email, serial, ip: getRequestIp(req) });
+  const stamped = await stampPdfForRecipient(await downloadFromS3(key), stamp, mode);
+  return { stamp, stamped };
+};
+
+const logForensicServe = async (req, { stamp, mode, documentId, traceId, jobId, route }) => {
+  await recordForensicServe({ userId: req.user._id, documentId, stamp, route });
+  traceLog({
+    traceId,
+    jobId,
+    event: route === 'secure-print' ? 'SECURE_PRINT_FORENSIC' : 'SECURE_RENDER_FORENSIC',
+    payload: { documentId, mode, ref: stamp.ref, serial: stamp.serial },
+  });
+};
+
+const sendPdfBytes = (res, bytes) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Content-Length', String(bytes.length));
+  return res.end(bytes);
+};
+
+// Stamped secure-print copies, one per print event. Presigned like the clean file; expire this prefix
+// with a bucket lifecycle rule.
+const FORENSIC_PRINT_PREFIX = 'securepdf/forensic/';
+
 // Secure render: stream PDF/SVG bytes based on session token
 router.post('/secure-render', authMiddleware, async (req, res) => {
   try {
@@ -686,6 +749,18 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
             ? requestId.trim()
             : crypto.randomUUID();
 
+      const forensicMode = await resolveForensicWatermarkMode(docIdStr);
+      if (forensicMode !== 'off') {
+        const { stamp, stamped } = await stampForensicPdf(req, {
+          key: await resolveFinalPdfKeyForServe(docIdStr),
+          mode: forensicMode,
+          serial: incomingRequestId,
+        });
+        await assertAndConsumePrintQuota(doc._id.toString(), req.user._id.toString(), incomingRequestId);
+        await logForensicServe(req, { stamp, mode: forensicMode, documentId: docIdStr, traceId: null, jobId: null, route: 'secure-render' });
+        return sendPdfBytes(res, stamped);
+      }
+
       await assertAndConsumePrintQuota(doc._id.toString(), req.user._id.toString(), incomingRequestId);
 
       const bucket = process.env.S3_BUCKET;
@@ -814,6 +889,12 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
           ? requestId.trim()
           : crypto.randomUUID();
 
+    const forensicMode = await resolveForensicWatermarkMode(docIdStr);
+    const forensicKey = forensicMode !== 'off' ? await resolveFinalPdfKeyForServe(docIdStr) : null;
+    const forensic = forensicKey
+      ? await stampForensicPdf(req, { key: forensicKey, mode: forensicMode, serial: incomingRequestId })
+      : null;
+
     await assertAndConsumePrintQuota(doc._id.toString(), req.user._id.toString(), incomingRequestId);
 
     const bucket = process.env.S3_BUCKET;
@@ -821,7 +902,7 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
       return res.status(500).json({ message: 'S3 not configured' });
     }
 
-    const serveKey = await resolveFinalPdfKeyForServe(docIdStr);
+    const serveKey = forensicKey || await resolveFinalPdfKeyForServe(docIdStr);
 
     traceLog({
       traceId: jobDoc?.traceId,
@@ -830,6 +911,18 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
       payload: { documentId: doc._id?.toString?.() || String(doc._id || ''), key: serveKey },
     });
 
+    if (forensic) {
+      await logForensicServe(req, {
+        stamp: forensic.stamp,
+        mode: forensicMode,
+        documentId: docIdStr,
+        traceId: jobDoc?.traceId,
+        jobId: jobDoc._id.toString(),
+        route: 'secure-render',
+      });
+      return sendPdfBytes(res, forensic.stamped);
+    }
+
     const command = new GetObjectCommand({
       Bucket: bucket,
       Key: serveKey,
@@ -896,7 +989,8 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
   }
 });
 
-// Secure print: decrement quota and return presigned S3 URL for printing
+// Secure print: decrement quota and return presigned S3 URL for printing.
+// With forensic watermarking on, the URL points at a stamped copy of the file, never the clean one.
 router.post('/secure-print', authMiddleware, async (req, res) => {
   try {
     const { sessionToken, requestId } = req.body;
@@ -933,7 +1027,25 @@ router.post('/secure-print', authMiddleware, async (req, res) => {
           ? requestId.trim()
           : crypto.randomUUID();
 
-    await assertAndConsumePrintQuota(docId.toString(), req.user._id.toString(), incomingRequestId);
+    const forensicMode = await resolveForensicWatermarkMode(docId.toString());
+    let forensic = null;
+    if (forensicMode !== 'off') {
+      const { stamp, stamped } = await stampForensicPdf(req, {
+        key: await resolveFinalPdfKeyForServe(docId.toString()),
+        mode: forensicMode,
+        serial: incomingRequestId,
+      });
+      const key = `${FORENSIC_PRINT_PREFIX}${docId.toString()}/${stamp.ref}.pdf`;
+      await uploadToS3WithKey(stamped, 'application/pdf', key);
+      forensic = { stamp, key };
+    }
+
+    try {
+      await assertAndConsumePrintQuota(docId.toString(), req.user._id.toString(), incomingRequestId);
+    } catch (err) {
+      if (forensic) await deleteFromS3(forensic.key).catch(() => null);
+      throw err;
+    }
 
     const doc = access.documentId;
     if (!doc) {
@@ -945,14 +1057,7 @@ router.post('/secure-print', authMiddleware, async (req, res) => {
       return res.status(500).json({ message: 'S3 not configured' });
     }
 
-    // Generate a short-lived presigned URL so browser securely fetches from S3 without AccessDenied
-    const serveKey = await resolveFinalPdfKeyForServe(docId.toString());
-    const command = new GetObjectCommand({
-      Bucket: bucket,
-      Key: serveKey,
-    });
-
-    const signedUrl = await getSignedUrl(s3, command, { expiresIn: 60 }); // 60 seconds
+    const serveKey = forensic ? forensic.key : await resolveFinalPdfKeyForServe(docId.toString());
 
     const refreshed = await DocumentAccess.findById(access._id)
       .select('printQuota printsUsed assignedQuota usedPrints')
@@ -962,6 +1067,25 @@ router.post('/secure-print', authMiddleware, async (req, res) => {
     const usedPrints = Number.isFinite(refreshed?.printsUsed) ? refreshed.printsUsed : refreshed?.usedPrints;
     const remainingPrints = Number.isFinite(maxPrints) && Number.isFinite(usedPrints) ? maxPrints - usedPrints : null;
 
+    if (forensic) {
+      await logForensicServe(req, {
+        stamp: forensic.stamp,
+        mode: forensicMode,
+        documentId: docId.toString(),
+        traceId: null,
+        jobId: docId.toString(),
+        route: 'secure-print',
+      });
+    }
+
+    // Generate a short-lived presigned URL so browser securely fetches from S3 without AccessDenied
+    const command = new GetObjectCommand({
+      Bucket: bucket,
+      Key: serveKey,
+    });
+
+    const signedUrl = await getSignedUrl(s3, command, { expiresIn: 60 }); // 60 seconds
+
     return res.json({
       fileUrl: signedUrl,
       remainingPrints,
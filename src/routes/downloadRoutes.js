@@ -1,7 +1,8 @@
 import express from 'express';
 import { s3 } from '../services/s3.js';
 import { GetObjectCommand } from '@aws-sdk/client-s3';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
 
 const router = express.Router();
 
@@ -57,6 +58,98 @@ router.get('/enacle-app', async (req, res) => {
   }
 });
 
+// Files of a finished vector job: the split parts, or the single output file.
+const outputFilesOf = (jobDoc) => {
+  const parts = Array.isArray(jobDoc.output?.parts) ? jobDoc.output.parts : [];
+  if (parts.length > 0) return parts;
+  const key = jobDoc.output.key;
+  return [{ key, fileName: key.split('/').pop(), sheets: null, firstSerial: null, lastSerial: null }];
+};
+
+const loadFinishedJob = async (req, res) => {
+  const jobDoc = await VectorPrintJob.findById(req.params.jobId).exec().catch(() => null);
+  if (!jobDoc) {
+    res.status(404).json({ message: 'Job not found' });
+    return null;
+  }
+  if (jobDoc.status !== 'READY' || !jobDoc.output?.key) {
+    res.status(409).json({ message: 'Job not completed' });
+    return null;
+  }
+  return jobDoc;
+};
+
+// GET /api/download/jobs/:jobId/parts - List the output files of a vector job (one per box when split)
+router.get('/jobs/:jobId/parts', authMiddleware, requireAdmin, async (req, res, next) => {
+  try {
+    const jobDoc = await loadFinishedJob(req, res);
+    if (!jobDoc) return undefined;
+
+    const parts = outputFilesOf(jobDoc).map((part, index) => ({
+      index,
+      fileName: part.fileName,
+      key: part.key,
+      sheets: part.sheets?.start !== undefined ? { start: part.sheets.start, end: part.sheets.end } : null,
+      firstSerial: part.firstSerial ?? null,
+      lastSerial: part.lastSerial ?? null,
+      downloadPath: `/api/download/jobs/${jobDoc._id}/parts/${index}`,
+    }));
+
+    return res.json({ jobId: jobDoc._id, expiresAt: jobDoc.output?.expiresAt || null, parts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// GET /api/download/jobs/:jobId/parts/:index - Stream one output file of a vector job
+router.get('/jobs/:jobId/parts/:index', authMiddleware, requireAdmin, async (req, res, next) => {
+  try {
+    const jobDoc = await loadFinishedJob(req, res);
+    if (!jobDoc) return undefined;
+
+    const files = outputFilesOf(jobDoc);
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= files.length) {
+      return res.status(404).json({ message: 'Output part not found' });
+    }
+
+    const { key, fileName } = files[index];
+    if (!key.startsWith('documents/final/')) {
+      return res.status(403).json({ message: 'Not authorized to access this key' });
+    }
+
+    const bucket = String(process.env.S3_BUCKET || '').trim();
+    if (!bucket) {
+      return res.status(500).json({ message: 'S3 not configured' });
+    }
+
+    const obj = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    if (!obj?.Body) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const filename = String(fileName || 'output.pdf').replace(/[\\/\n\r\t"]/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    if (obj.ContentLength !== undefined && obj.ContentLength !== null) {
+      res.setHeader('Content-Length', String(obj.ContentLength));
+    }
+
+    obj.Body.on('error', () => {
+      try {
+        res.end();
+      } catch {
+        // ignore
+      }
+    });
+
+    return obj.Body.pipe(res);
+  } catch (err) {
+    return next(err);
+  }
+});
+
 // GET /api/download/:s3_key - Stream a PDF from S3 by key (stable key, no signed URL)
 router.get('/:s3Key(*)', authMiddleware, async (req, res, next) => {
   try {
@@ -1,8 +1,28 @@
 import express from 'express';
+import multer from 'multer';
+import crypto from 'crypto';
 import { authMiddleware, requireAdmin } from '../middleware/auth.js';
 import { listPrintEngineFonts } from '../services/printEngineClient.js';
+import { uploadToS3WithKey } from '../services/s3.js';
+import VectorFont from '../vectorModels/VectorFont.js';
+import {
+  FONT_KEY_PREFIX,
+  FONT_MAX_BYTES,
+  inspectFontBuffer,
+  isStandardFontName,
+  normalizeFontNameKey,
+} from '../vector/fontRegistry.js';
 
 const router = express.Router();
+const upload = multer({ limits: { fileSize: FONT_MAX_BYTES } });
+
+// Multer failures (oversized or malformed multipart bodies) are client errors, not 500s.
+const uploadFontFile = (req, res, next) =>
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    const message = err?.code === 'LIMIT_FILE_SIZE' ? 'Font file is too large' : 'Font upload could not be read';
+    return res.status(400).json({ message });
+  });
 
 router.get('/fonts', authMiddleware, requireAdmin, async (req, res) => {
   try {
@@ -16,4 +36,80 @@ router.get('/fonts', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
+// Local layout engine font registry (series.font / watermark.fontFamily / fields[].font).
+router.get('/fonts/custom', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const fonts = await VectorFont.find({})
+      .select('name format outlines postscriptName familyName sizeBytes createdAt')
+      .sort({ name: 1 })
+      .lean()
+      .exec();
+    return res.json(fonts);
+  } catch (err) {
+    console.error('List custom fonts error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/fonts/custom', authMiddleware, requireAdmin, uploadFontFile, async (req, res) => {
+  try {
+    const file = req.file;
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!file) {
+      return res.status(400).json({ message: 'file is required' });
+    }
+    if (!name || name.length > 64) {
+      return res.status(400).json({ message: 'name is required (max 64 characters)' });
+    }
+    if (isStandardFontName(name)) {
+      return res.status(400).json({ message: 'name must not shadow a built-in font name (Helvetica, Arial, Times, Courier and their styles)' });
+    }
+
+    let info;
+    try {
+      info = inspectFontBuffer(file.buffer);
+    } catch (err) {
+      return res.status(400).json({ message: err?.message || 'Invalid font file' });
+    }
+
+    const nameKey = normalizeFontNameKey(name);
+    const existing = await VectorFont.findOne({ nameKey }).select('_id').lean().exec();
+    if (existing) {
+      return res.status(409).json({ message: 'A font with this name already exists; fonts are immutable, upload under a new name' });
+    }
+
+    const key = `${FONT_KEY_PREFIX}${crypto.randomUUID()}.${info.format}`;
+    const contentType = info.format === 'otf' ? 'font/otf' : 'font/ttf';
+    await uploadToS3WithKey(file.buffer, contentType, key);
+
+    const font = await VectorFont.create({
+      name,
+      nameKey,
+      fileKey: key,
+      format: info.format,
+      outlines: info.outlines,
+      postscriptName: info.postscriptName,
+      familyName: info.familyName,
+      sizeBytes: file.buffer.length,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      createdBy: req.user._id,
+    });
+
+    return res.status(201).json({
+      id: font._id,
+      name: font.name,
+      format: font.format,
+      outlines: font.outlines,
+      postscriptName: font.postscriptName,
+      familyName: font.familyName,
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ message: 'A font with this name already exists' });
+    }
+    console.error('Font upload error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 export default router;
@@ -12,7 +12,14 @@ import VectorPrintLog from '../vectorModels/VectorPrintLog.js';
 
 import { assertAndConsumePrintQuota } from '../services/printQuotaService.js';
 import { resolveFinalPdfKeyForServe } from '../services/finalPdfExportService.js';
-import { deleteFromS3, s3 } from '../services/s3.js';
+import { deleteFromS3, deleteS3Prefix, downloadFromS3, s3 } from '../services/s3.js';
+import {
+  resolveForensicWatermarkMode,
+  buildForensicStamp,
+  stampPdfForRecipient,
+  recordForensicServe,
+  getRequestIp,
+} from '../services/forensicWatermark.js';
 
 const router = express.Router();
 
@@ -33,6 +40,17 @@ const computeRemaining = (access) => {
   return { maxPrints: quota, remainingPrints: Math.max(0, quota - used) };
 };
 
+// Removes the job's output: the single file, or every file of a split output (metadata.outputSplit).
+const deleteJobOutput = async (job) => {
+  const parts = Array.isArray(job.output?.parts) ? job.output.parts : [];
+  if (parts.length > 0) {
+    await deleteS3Prefix(`documents/final/${job._id}/`).catch(() => null);
+  }
+  if (job.output?.key) {
+    await deleteFromS3(job.output.key).catch(() => null);
+  }
+};
+
 router.get('/print-agent/download', async (req, res) => {
   try {
     const bucket = typeof process.env.S3_BUCKET === 'string' ? process.env.S3_BUCKET.trim() : '';
@@ -131,12 +149,10 @@ router.post('/print/fetch', authMiddleware, async (req, res) => {
 
     const expiresAt = job.output?.expiresAt ? new Date(job.output.expiresAt) : null;
     if (expiresAt && expiresAt.getTime() <= Date.now()) {
-      if (job.output?.key) {
-        await deleteFromS3(job.output.key).catch(() => null);
-      }
+      await deleteJobOutput(job);
       job.status = 'FAILED';
       job.errorCode = 'EXPIRED';
-      job.output = { key: null, url: null, expiresAt: null };
+      job.output = { key: null, url: null, expiresAt: null, parts: [] };
       job.audit.push({ event: 'FETCH_DENIED_EXPIRED_AND_OUTPUT_DELETED', details: null });
       await job.save();
       return res.status(410).json({ message: 'Expired' });
@@ -152,21 +168,45 @@ router.post('/print/fetch', authMiddleware, async (req, res) => {
       return res.status(500).json({ message: 'S3 not configured' });
     }
 
-    const command = new GetObjectCommand({ Bucket: bucket, Key: sourceKey });
-    const obj = await s3.send(command);
-    if (!obj?.Body) {
-      return res.status(410).json({ message: 'PDF not available' });
+    // Forensic mode stamps this print event (email, serial, time, IP) into the served bytes.
+    const forensicMode = await resolveForensicWatermarkMode(job.metadata?.documentId);
+    let stamped = null;
+    let stamp = null;
+    let obj = null;
+    if (forensicMode !== 'off') {
+      stamp = buildForensicStamp({ email: req.user.email, serial: job.metadata?.serial, ip: getRequestIp(req) });
+      stamped = await stampPdfForRecipient(await downloadFromS3(sourceKey), stamp, forensicMode);
+    } else {
+      const command = new GetObjectCommand({ Bucket: bucket, Key: sourceKey });
+      obj = await s3.send(command);
+      if (!obj?.Body) {
+        return res.status(410).json({ message: 'PDF not available' });
+      }
     }
 
-    job.output = { key: null, url: null, expiresAt: null };
+    job.output = { key: null, url: null, expiresAt: null, parts: [] };
     job.metadata.fetchedAt = new Date().toISOString();
     job.markModified('metadata');
     job.audit.push({
       event: 'FETCHED_ONCE_AND_OUTPUT_DELETED',
-      details: { deviceId, previousExpiresAt: expiresAt ? expiresAt.toISOString() : null },
+      details: {
+        deviceId,
+        previousExpiresAt: expiresAt ? expiresAt.toISOString() : null,
+        ...(stamp ? { forensicRef: stamp.ref, forensicMode } : {}),
+      },
     });
     await job.save();
 
+    if (stamped) {
+      if (job.metadata?.documentId) {
+        await recordForensicServe({ userId: req.user._id, documentId: job.metadata.documentId, stamp, route: 'print/fetch' });
+      }
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Content-Length', String(stamped.length));
+      return res.end(stamped);
+    }
+
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Cache-Control', 'no-store');
     if (obj.ContentLength !== undefined && obj.ContentLength !== null) {
@@ -364,15 +404,12 @@ router.post('/print/confirm', authMiddleware, async (req, res) => {
       await assertAndConsumePrintQuota(String(docIdForQuota), req.user._id.toString(), String(requestIdForQuota));
     }
 
-    const key = job.output?.key;
-    if (key) {
-      await deleteFromS3(key).catch(() => null);
-    }
+    await deleteJobOutput(job);
 
     job.status = 'READY';
     job.readyAt = new Date();
     job.errorCode = null;
-    job.output = { key: null, url: null, expiresAt: null };
+    job.output = { key: null, url: null, expiresAt: null, parts: [] };
     job.audit.push({ event: 'PRINT_CONFIRMED_AND_OUTPUT_DELETED', details: { printerName, deviceId } });
     await job.save();
 
@@ -419,14 +456,11 @@ router.post('/print/fail', authMiddleware, async (req, res) => {
       return res.status(409).json({ message: 'Print job already finalized' });
     }
 
-    const key = job.output?.key;
-    if (key) {
-      await deleteFromS3(key).catch(() => null);
-    }
+    await deleteJobOutput(job);
 
     job.status = 'FAILED';
     job.errorCode = 'PRINT_FAILED';
-    job.output = { key: null, url: null, expiresAt: null };
+    job.output = { key: null, url: null, expiresAt: null, parts: [] };
     job.error = { message: reason || 'Print failed', stack: null };
     job.audit.push({ event: 'PRINT_FAILED_AND_OUTPUT_DELETED', details: { printerName, deviceId, reason } });
     await job.save();
@@ -36,7 +36,12 @@ router.get('/jobs/:jobId/result', authMiddleware, requireAdmin, async (req, res)
     return res.status(409).json({ message: 'Job not completed' });
   }
 
-  return res.json({ pdf_s3_key: jobDoc.output.key });
+  // Split outputs (metadata.outputSplit) list every file; pdf_s3_key is the first one.
+  const parts = Array.isArray(jobDoc.output.parts) ? jobDoc.output.parts : [];
+  return res.json({
+    pdf_s3_key: jobDoc.output.key,
+    pdf_s3_keys: parts.length > 0 ? parts.map((part) => part.key) : [jobDoc.output.key],
+  });
 });
 
 export default router;
@@ -1,13 +1,14 @@
 import express from 'express';
 import { authMiddleware, requireAdmin } from '../middleware/auth.js';
 import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
-import { signJobPayload, getStableHmacPayload } from '../services/hmac.js';
+import { signJobPayload, getStableHmacPayload, verifyTicketQrPayload } from '../services/hmac.js';
 import crypto from 'crypto';
 import VectorUser from '../vectorModels/VectorUser.js';
 import VectorDocument from '../vectorModels/VectorDocument.js';
 import VectorDocumentAccess from '../vectorModels/VectorDocumentAccess.js';
 import { traceLog } from '../services/traceLog.js';
 import { renderViaPrintEngine } from '../services/printEngineClient.js';
+import { AUTO_REPEAT_PER_PAGE, resolveSheetFit, resolveAutoSlots } from '../vector/sheetFit.js';
 
 const router = express.Router();
 
@@ -291,4 +292,45 @@ router.post('/validate', authMiddleware, async (req, res) => {
   }
 });
 
+// POST /api/vector/layout/fit - Dry run: how many tickets fit per sheet (upright and quarter-turned)
+// for the given ticketCrop.widthMm/heightMm and layout. Nothing is rendered or stored.
+router.post('/layout/fit', authMiddleware, requireAdmin, async (req, res) => {
+  const metadata = req.body && typeof req.body === 'object' ? req.body : {};
+  if (!metadata.ticketCrop || typeof metadata.ticketCrop !== 'object') {
+    return res.status(400).json({ message: 'ticketCrop is required and must be an object' });
+  }
+
+  try {
+    const fit = resolveSheetFit(metadata);
+    // The layout the job would run with if repeatPerPage were 'auto' (explicit grid settings dropped).
+    const { columns: _columns, rows: _rows, ...layout } = metadata.layout && typeof metadata.layout === 'object' ? metadata.layout : {};
+    const resolved = resolveAutoSlots({ ...metadata, layout: { ...layout, repeatPerPage: AUTO_REPEAT_PER_PAGE } });
+    return res.json({ fit, layout: resolved.layout, ticketCrop: resolved.ticketCrop });
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
+// POST /api/vector/tickets/verify - Door check for a scanned ticket QR code (series.qr).
+// The signature proves the serial was printed by this system for that job; it does not track re-entry.
+router.post('/tickets/verify', authMiddleware, async (req, res) => {
+  try {
+    const qr = typeof req.body?.qr === 'string' ? req.body.qr.trim() : '';
+    if (!qr) {
+      return res.status(400).json({ message: 'qr is required' });
+    }
+
+    const { valid, jobId, serial } = verifyTicketQrPayload(qr);
+    if (!valid) {
+      return res.json({ valid: false, jobId: null, serial: null, jobStatus: null });
+    }
+
+    const jobDoc = await VectorPrintJob.findById(jobId).select('status').lean().exec().catch(() => null);
+    return res.json({ valid: true, jobId, serial, jobStatus: jobDoc?.status || null });
+  } catch (err) {
+    console.error('Ticket verify error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 export default router;
@@ -0,0 +1,116 @@
+import PDFLib from 'pdf-lib';
+import VectorDocument from '../vectorModels/VectorDocument.js';
+import VectorPrintLog from '../vectorModels/VectorPrintLog.js';
+import { toWinAnsiSafe } from '../vector/printMarks.js';
+import { signForensicStamp } from './hmac.js';
+
+const { PDFDocument, StandardFonts, rgb, degrees } = PDFLib;
+
+// off     : stored bytes are streamed unchanged (default)
+// footer  : one visible line at the bottom of every page
+// overlay : low-opacity diagonal text tiled over every page
+// both    : footer + overlay
+export const FORENSIC_WATERMARK_MODES = ['off', 'footer', 'overlay', 'both'];
+
+const FOOTER_FONT_SIZE = 6;
+const OVERLAY_FONT_SIZE = 9;
+const OVERLAY_OPACITY = 0.08;
+const OVERLAY_ANGLE = 35;
+
+// Per-document setting wins; otherwise FORENSIC_WATERMARK_MODE, otherwise off.
+export async function resolveForensicWatermarkMode(documentId) {
+  const doc = documentId
+    ? await VectorDocument.findById(documentId).select('forensicWatermark').exec()
+    : null;
+  const mode = doc?.forensicWatermark || String(process.env.FORENSIC_WATERMARK_MODE || '').trim().toLowerCase();
+  return FORENSIC_WATERMARK_MODES.includes(mode) ? mode : 'off';
+}
+
+// The address ipSecurity resolved, else Express's own (which honours "trust proxy"); a client-sent
+// X-Forwarded-For is never read here.
+export const getRequestIp = (req) => req.clientIP || req.ip || (req.socket && req.socket.remoteAddress) || '';
+
+export function buildForensicStamp({ email, serial, ip, servedAt = new Date() }) {
+  const stamp = {
+    email: String(email || ''),
+    serial: String(serial || ''),
+    servedAt: servedAt instanceof Date ? servedAt.toISOString() : String(servedAt),
+    ip: String(ip || ''),
+  };
+  const ref = signForensicStamp(stamp);
+  const text = toWinAnsiSafe(`${stamp.email} | ${stamp.serial} | ${stamp.servedAt} | ${stamp.ip} | ref ${ref}`);
+  return { ...stamp, ref, text };
+}
+
+export async function stampPdfForRecipient(pdfBytes, stamp, mode) {
+  if (!FORENSIC_WATERMARK_MODES.includes(mode) || mode === 'off') return pdfBytes;
+
+  const header = Buffer.from(pdfBytes.slice(0, 5)).toString();
+  if (!header.startsWith('%PDF-')) {
+    throw new Error('SECURITY VIOLATION: Output is not a valid PDF. Vector pipeline broken.');
+  }
+
+  const pdf = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const color = rgb(0.35, 0.35, 0.35);
+  const textWidth = (size) => font.widthOfTextAtSize(stamp.text, size);
+
+  for (const page of pdf.getPages()) {
+    const { x, y, width, height } = page.getCropBox();
+
+    if (mode === 'footer' || mode === 'both') {
+      const size = Math.min(FOOTER_FONT_SIZE, (FOOTER_FONT_SIZE * (width - 12)) / textWidth(FOOTER_FONT_SIZE));
+      page.drawText(stamp.text, {
+        x: x + Math.max(6, (width - textWidth(size)) / 2),
+        y: y + 4,
+        size,
+        font,
+        color,
+      });
+    }
+
+    if (mode === 'overlay' || mode === 'both') {
+      const stepX = textWidth(OVERLAY_FONT_SIZE) * 0.9 + 40;
+      const stepY = OVERLAY_FONT_SIZE * 8;
+      for (let row = -1; row * stepY < height + stepY; row += 1) {
+        for (let col = -1; col * stepX < width + stepX; col += 1) {
+          page.drawText(stamp.text, {
+            x: x + col * stepX + (row % 2) * (stepX / 2),
+            y: y + row * stepY,
+            size: OVERLAY_FONT_SIZE,
+            font,
+            color,
+            opacity: OVERLAY_OPACITY,
+            rotate: degrees(OVERLAY_ANGLE),
+          });
+        }
+      }
+    }
+  }
+
+  // Also in the document info, so a copy with the visible stamp cropped away is still traceable.
+  pdf.setKeywords([`forensic-ref:${stamp.ref}`]);
+
+  return Buffer.from(await pdf.save());
+}
+
+// Lookup table for leak investigations: ref → recipient and print event. Never blocks the serve, but a
+// missing record is logged so the stamp ref can still be traced from the logs.
+export async function recordForensicServe({ userId, documentId, stamp, route }) {
+  await VectorPrintLog.create({
+    userId,
+    documentId,
+    count: 0,
+    meta: {
+      event: 'FORENSIC_SERVE',
+      route,
+      ref: stamp.ref,
+      email: stamp.email,
+      serial: stamp.serial,
+      servedAt: stamp.servedAt,
+      ip: stamp.ip,
+    },
+  }).catch((err) => {
+    console.error('Forensic serve record failed', { ref: stamp.ref, documentId, route }, err);
+  });
+}
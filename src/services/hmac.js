@@ -81,3 +81,84 @@ export function verifyJobPayload(payload, expectedHmac) {
   if (a.length !== b.length) return false;
   return crypto.timingSafeEqual(a, b);
 }
+
+// Per-ticket signatures for the printed QR code.
+// Kept separate from the job payload HMAC above: the QR text is public, so the signing key is
+// derived (TICKET_QR_HMAC_SECRET, falling back to JOB_PAYLOAD_HMAC_SECRET) and the tag is truncated
+// to 128 bits to keep the symbol small enough to scan reliably at ticket sizes.
+export const TICKET_QR_VERSION = 'VT1';
+const TICKET_SIGNATURE_HEX_LENGTH = 32;
+
+const getTicketSigningKey = () => {
+  const secret = process.env.TICKET_QR_HMAC_SECRET || process.env.JOB_PAYLOAD_HMAC_SECRET;
+  if (!secret) {
+    throw new Error('TICKET_QR_HMAC_SECRET / JOB_PAYLOAD_HMAC_SECRET not configured');
+  }
+  return crypto.createHmac('sha256', secret).update(`ticket-qr:${TICKET_QR_VERSION}`).digest();
+};
+
+export function signTicketPayload({ jobId, serial }) {
+  if (!jobId || typeof jobId !== 'string') {
+    throw new Error('Ticket signature requires a jobId');
+  }
+  if (typeof serial !== 'string' || !serial) {
+    throw new Error('Ticket signature requires a serial');
+  }
+
+  const payloadString = stableStringify({ v: TICKET_QR_VERSION, jobId, serial });
+  return crypto
+    .createHmac('sha256', getTicketSigningKey())
+    .update(payloadString)
+    .digest('hex')
+    .slice(0, TICKET_SIGNATURE_HEX_LENGTH);
+}
+
+// QR text: VT1:<jobId>:<serial>:<signature>. The serial may itself contain ':',
+// so parsing takes the first two and the last segment and joins the rest.
+export function buildTicketQrPayload({ jobId, serial }) {
+  if (String(jobId).includes(':')) {
+    throw new Error('Ticket jobId must not contain ":"');
+  }
+  const signature = signTicketPayload({ jobId, serial });
+  return `${TICKET_QR_VERSION}:${jobId}:${serial}:${signature}`;
+}
+
+export function verifyTicketQrPayload(text) {
+  const parts = typeof text === 'string' ? text.split(':') : [];
+  if (parts.length < 4 || parts[0] !== TICKET_QR_VERSION) {
+    return { valid: false, jobId: null, serial: null };
+  }
+
+  const jobId = parts[1];
+  const signature = parts[parts.length - 1];
+  const serial = parts.slice(2, -1).join(':');
+  if (!jobId || !serial) {
+    return { valid: false, jobId: null, serial: null };
+  }
+
+  const expected = Buffer.from(signTicketPayload({ jobId, serial }));
+  const actual = Buffer.from(signature);
+  const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  return { valid, jobId, serial };
+}
+
+// Forensic reference printed on per-recipient served PDFs. It ties the visible stamp to one
+// print event: anyone holding the secret can confirm a leaked copy's stamp was not edited.
+const FORENSIC_REF_HEX_LENGTH = 16;
+
+const getForensicSigningKey = () => {
+  const secret = process.env.FORENSIC_WATERMARK_SECRET || process.env.JOB_PAYLOAD_HMAC_SECRET;
+  if (!secret) {
+    throw new Error('FORENSIC_WATERMARK_SECRET / JOB_PAYLOAD_HMAC_SECRET not configured');
+  }
+  return crypto.createHmac('sha256', secret).update('forensic-watermark:v1').digest();
+};
+
+export function signForensicStamp({ email, serial, servedAt, ip }) {
+  const payloadString = stableStringify({ email, serial, servedAt, ip });
+  return crypto
+    .createHmac('sha256', getForensicSigningKey())
+    .update(payloadString)
+    .digest('hex')
+    .slice(0, FORENSIC_REF_HEX_LENGTH);
+}
@@ -1,4 +1,16 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
 import crypto from 'crypto';
 const endpointRaw = process.env.S3_ENDPOINT || process.env.AWS_S3_ENDPOINT;
 const regionRaw = process.env.S3_REGION || process.env.AWS_REGION;
@@ -79,6 +91,70 @@ export const uploadToS3WithKey = async (fileBuffer, contentType, key) => {
   return { key: normalizedKey, url: `s3://${bucket}/${normalizedKey}` };
 };
 
+// S3 parts must be at least 5 MB (except the last); 8 MB keeps memory flat and part counts low.
+export const MULTIPART_PART_BYTES = 8 * 1024 * 1024;
+
+// Streaming upload: write() buffers into parts and sends each part once it is full, complete() sends
+// the rest and finishes the object, abort() discards every uploaded part. Only one part is held in memory.
+export const createMultipartUploadToS3 = async (key, contentType) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET/AWS_S3_BUCKET not configured');
+  }
+
+  const normalizedKey = typeof key === 'string' ? key : '';
+  if (!normalizedKey) {
+    throw new Error('S3 key is required');
+  }
+
+  const created = await s3.send(
+    new CreateMultipartUploadCommand({ Bucket: bucket, Key: normalizedKey, ContentType: contentType })
+  );
+  const uploadId = created.UploadId;
+  const parts = [];
+  let pending = [];
+  let pendingBytes = 0;
+
+  const sendPart = async () => {
+    const body = Buffer.concat(pending);
+    pending = [];
+    pendingBytes = 0;
+    const partNumber = parts.length + 1;
+    const response = await s3.send(
+      new UploadPartCommand({ Bucket: bucket, Key: normalizedKey, UploadId: uploadId, PartNumber: partNumber, Body: body })
+    );
+    parts.push({ ETag: response.ETag, PartNumber: partNumber });
+  };
+
+  const write = async (chunk) => {
+    pending.push(Buffer.from(chunk));
+    pendingBytes += chunk.length;
+    if (pendingBytes >= MULTIPART_PART_BYTES) {
+      await sendPart();
+    }
+  };
+
+  const complete = async () => {
+    if (pendingBytes > 0 || parts.length === 0) {
+      await sendPart();
+    }
+    await s3.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: bucket,
+        Key: normalizedKey,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts },
+      })
+    );
+    return { key: normalizedKey, url: `s3://${bucket}/${normalizedKey}` };
+  };
+
+  const abort = async () => {
+    await s3.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: normalizedKey, UploadId: uploadId }));
+  };
+
+  return { write, complete, abort };
+};
+
 export const uploadFileToS3WithKey = async (filePath, contentType, key) => {
   throw new Error('Local file uploads are disabled. Provide a Buffer and use uploadToS3WithKey instead.');
 };
@@ -108,6 +184,17 @@ export const downloadFromS3 = async (key) => {
   return Buffer.concat(chunks);
 };
 
+// ETag and size without downloading the body (cache validation).
+export const headS3Object = async (key) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET/AWS_S3_BUCKET not configured');
+  }
+
+  const command = new HeadObjectCommand({ Bucket: bucket, Key: key });
+  const response = await s3.send(command);
+  return { etag: response.ETag || null, contentLength: Number(response.ContentLength) || 0 };
+};
+
 export const deleteFromS3 = async (key) => {
   if (!bucket) {
     throw new Error('S3_BUCKET/AWS_S3_BUCKET not configured');
@@ -116,3 +203,31 @@ export const deleteFromS3 = async (key) => {
   const command = new DeleteObjectCommand({ Bucket: bucket, Key: key });
   await s3.send(command);
 };
+
+// Removes every object under a prefix (e.g. a job's tmp folder). Returns the number of deleted objects.
+export const deleteS3Prefix = async (prefix) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET/AWS_S3_BUCKET not configured');
+  }
+
+  const normalizedPrefix = typeof prefix === 'string' ? prefix : '';
+  if (!normalizedPrefix || !normalizedPrefix.endsWith('/')) {
+    throw new Error('S3 prefix must be a non-empty folder ending in "/"');
+  }
+
+  let deleted = 0;
+  let continuationToken;
+  do {
+    const listed = await s3.send(
+      new ListObjectsV2Command({ Bucket: bucket, Prefix: normalizedPrefix, ContinuationToken: continuationToken })
+    );
+    const objects = (listed.Contents || []).map((item) => ({ Key: item.Key }));
+    if (objects.length > 0) {
+      await s3.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: objects, Quiet: true } }));
+      deleted += objects.length;
+    }
+    continuationToken = listed.IsTruncated ? listed.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return deleted;
+};
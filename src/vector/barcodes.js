@@ -0,0 +1,90 @@
+// Vector barcode geometry for series values.
+// bwip-js is used only as an encoder (bar widths / module matrix); drawing is done by the
+// layout engine as pdf-lib paths so output stays pure vector and byte-deterministic.
+import bwipjs from 'bwip-js';
+import { snap } from './constants.js';
+
+export const BARCODE_TYPES = ['code128', 'datamatrix', 'qrcode'];
+
+const BWIP_SYMBOLOGY = {
+  code128: 'code128',
+  datamatrix: 'datamatrix',
+  qrcode: 'qrcode',
+};
+
+// Encode a value into symbology-neutral geometry:
+// - linear: { kind: 'linear', totalModules, bars: [{ start, width }] } (module units)
+// - matrix: { kind: 'matrix', cols, rows, cells: Uint8Array } (row-major, top row first)
+export const encodeBarcode = (type, value) => {
+  const bcid = BWIP_SYMBOLOGY[type];
+  if (!bcid) {
+    throw new Error(`Unsupported barcode type: ${type}`);
+  }
+
+  let raw;
+  try {
+    raw = bwipjs.raw(bcid, String(value), {});
+  } catch (err) {
+    throw new Error(`Barcode encoding failed (${type}): ${err?.message || err}`);
+  }
+
+  const symbol = Array.isArray(raw) ? raw[0] : null;
+  if (!symbol) {
+    throw new Error(`Barcode encoding failed (${type}): empty symbol`);
+  }
+
+  if (Array.isArray(symbol.sbs)) {
+    // sbs alternates bar, space, bar, ... widths in modules, starting with a bar.
+    const bars = [];
+    let cursor = 0;
+    symbol.sbs.forEach((w, i) => {
+      const width = Number(w);
+      if (i % 2 === 0 && width > 0) bars.push({ start: cursor, width });
+      cursor += width;
+    });
+    return { kind: 'linear', totalModules: cursor, bars };
+  }
+
+  if (Array.isArray(symbol.pixs) && symbol.pixx > 0 && symbol.pixy > 0) {
+    return { kind: 'matrix', cols: symbol.pixx, rows: symbol.pixy, cells: Uint8Array.from(symbol.pixs) };
+  }
+
+  throw new Error(`Barcode encoding failed (${type}): unexpected symbol shape`);
+};
+
+// Build an SVG path (y-down, origin at the box top-left) covering the dark modules.
+// Linear symbols stretch to the full box; matrix symbols keep square modules and anchor top-left.
+export const barcodeToSvgPath = (encoded, widthPt, heightPt) => {
+  const w = Number(widthPt);
+  const h = Number(heightPt);
+  if (!Number.isFinite(w) || !Number.isFinite(h) || w <= 0 || h <= 0) {
+    throw new Error('Barcode box must have a positive width and height');
+  }
+
+  const rectPath = (x, y, rw, rh) => `M${snap(x)} ${snap(y)}h${snap(rw)}v${snap(rh)}h${snap(-rw)}Z`;
+  const parts = [];
+
+  if (encoded.kind === 'linear') {
+    const moduleW = w / Math.max(1, encoded.totalModules);
+    for (const bar of encoded.bars) {
+      parts.push(rectPath(bar.start * moduleW, 0, bar.width * moduleW, h));
+    }
+    return parts.join('');
+  }
+
+  const moduleSize = Math.min(w / encoded.cols, h / encoded.rows);
+  for (let row = 0; row < encoded.rows; row += 1) {
+    // Merge horizontal runs of dark modules to keep the content stream small.
+    let col = 0;
+    while (col < encoded.cols) {
+      if (!encoded.cells[row * encoded.cols + col]) {
+        col += 1;
+        continue;
+      }
+      const runStart = col;
+      while (col < encoded.cols && encoded.cells[row * encoded.cols + col]) col += 1;
+      parts.push(rectPath(runStart * moduleSize, row * moduleSize, (col - runStart) * moduleSize, moduleSize));
+    }
+  }
+  return parts.join('');
+};
@@ -3,5 +3,22 @@ export const A4_WIDTH = 595.28; // points
 export const A4_HEIGHT = 841.89; // points
 export const SAFE_MARGIN = 28.35; // 10mm
 
+export const MM_TO_PT = 2.834645669;
+
+// Named press sheets (portrait, points). A4 reuses the constants above so A4 output never drifts.
+export const PAGE_SIZES = {
+  A4: { width: A4_WIDTH, height: A4_HEIGHT },
+  A3: { width: 841.89, height: 1190.55 },
+  SRA4: { width: 637.8, height: 907.09 }, // 225 x 320 mm
+  SRA3: { width: 907.09, height: 1275.59 }, // 320 x 450 mm
+  LETTER: { width: 612, height: 792 },
+  LEGAL: { width: 612, height: 1008 },
+  TABLOID: { width: 792, height: 1224 },
+};
+
+// Custom sheet bounds. 5080 mm is the 14400 pt PDF user-space limit.
+export const CUSTOM_PAGE_MIN_MM = 25;
+export const CUSTOM_PAGE_MAX_MM = 5080;
+
 // Press-grade alignment guarantees
 export const snap = (v) => Math.round(v * 1000) / 1000;
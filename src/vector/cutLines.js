@@ -0,0 +1,134 @@
+// Cut and perforation guides (opt-in via layout.cutLines).
+//
+// layout.cutLines = {
+//   around: true,            // outline of every ticket (its trim box)
+//   between: false,          // centre lines of the gutters between slot columns / rows, across the sheet's slots
+//   dash: 'dashed',          // 'solid' | 'dashed' | 'perforation' | [on, off, ...] in pt
+//   color: '#000000',
+//   spotColor: null,         // e.g. 'CutContour': stroke in a separation of that name for digital cutters
+//   strokeWidthPt: 0.25,
+// }
+//
+// Gutter lines come from the slot plan (slot boxes, not the scaled objects), so they sit in the middle of
+// slotSpacingPt / gutterXPt / gutterYPt in grid mode and of cutMarginMm in mm mode.
+import { trimBoxOf } from './printMarks.js';
+
+export const CUT_LINE_DASHES = {
+  solid: [],
+  dashed: [3, 3],
+  perforation: [1, 2],
+};
+
+// Alternate colour of a spot stroke on devices without the separation (cutter conventions use magenta).
+export const SPOT_ALTERNATE_CMYK = [0, 1, 0, 0];
+
+const HEX_COLOR = /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/;
+const SPOT_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,62}$/;
+
+const resolveDash = (raw) => {
+  if (raw === undefined || raw === null) return CUT_LINE_DASHES.dashed;
+  if (typeof raw === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(CUT_LINE_DASHES, raw)) {
+      throw new Error(`layout.cutLines.dash must be one of: ${Object.keys(CUT_LINE_DASHES).join(', ')} or an array of lengths`);
+    }
+    return CUT_LINE_DASHES[raw];
+  }
+  if (
+    !Array.isArray(raw) ||
+    raw.length < 1 ||
+    raw.length > 8 ||
+    !raw.every((v) => typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 72) ||
+    !raw.some((v) => v > 0)
+  ) {
+    throw new Error('layout.cutLines.dash array must have 1 to 8 lengths between 0 and 72 pt, not all zero');
+  }
+  return raw;
+};
+
+// null when cut lines are off, else which lines to draw and how they are stroked.
+export const resolveCutLines = (layout) => {
+  const raw = layout?.cutLines;
+  if (raw === undefined || raw === null || raw === false) return null;
+  const config = raw === true ? {} : raw;
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('layout.cutLines must be true or an object when provided');
+  }
+
+  for (const field of ['around', 'between']) {
+    if (config[field] !== undefined && typeof config[field] !== 'boolean') {
+      throw new Error(`layout.cutLines.${field} must be a boolean`);
+    }
+  }
+  const around = config.around ?? true;
+  const between = config.between ?? false;
+  if (!around && !between) {
+    throw new Error('layout.cutLines needs around and/or between');
+  }
+
+  const color = config.color ?? '#000000';
+  if (typeof color !== 'string' || !HEX_COLOR.test(color)) {
+    throw new Error('layout.cutLines.color must be a hex colour');
+  }
+
+  const spotColor = config.spotColor ?? null;
+  if (spotColor !== null && (typeof spotColor !== 'string' || !SPOT_NAME.test(spotColor))) {
+    throw new Error('layout.cutLines.spotColor must be a colorant name such as "CutContour"');
+  }
+
+  const strokeWidthPt = config.strokeWidthPt ?? 0.25;
+  if (typeof strokeWidthPt !== 'number' || !(strokeWidthPt >= 0.05 && strokeWidthPt <= 5)) {
+    throw new Error('layout.cutLines.strokeWidthPt must be a number between 0.05 and 5');
+  }
+
+  return { around, between, dash: resolveDash(config.dash), color, spotColor, strokeWidthPt };
+};
+
+const slotBoxOf = (placement) => ({
+  x: Number(placement.slotLeft ?? placement.contentLeft),
+  y: Number(placement.slotBottom ?? placement.contentBottom),
+  width: Number(placement.slotWidth ?? placement.contentWidth),
+  height: Number(placement.slotHeight ?? placement.contentHeight),
+});
+
+// Gutter centre lines along one axis: `key` groups slots into columns / rows, `lo`/`size` pick the axis.
+const gutterCentres = (placements, key, lo, size) => {
+  const bands = new Map();
+  for (const placement of placements) {
+    const band = Number(placement[key] ?? 0);
+    const box = slotBoxOf(placement);
+    const start = box[lo];
+    const end = box[lo] + box[size];
+    const current = bands.get(band);
+    bands.set(band, current ? { start: Math.min(current.start, start), end: Math.max(current.end, end) } : { start, end });
+  }
+
+  const sorted = [...bands.values()].sort((a, b) => a.start - b.start);
+  const centres = [];
+  for (let i = 1; i < sorted.length; i += 1) {
+    centres.push((sorted[i - 1].end + sorted[i].start) / 2);
+  }
+  return centres;
+};
+
+// Pure geometry: trim rectangles and gutter segments (page points) for the given placements.
+export const planCutLines = (placements, cutLines) => {
+  const around = cutLines.around ? placements.map(trimBoxOf) : [];
+  const between = [];
+
+  if (cutLines.between && placements.length > 1) {
+    const boxes = placements.map(slotBoxOf);
+    const left = Math.min(...boxes.map((b) => b.x));
+    const right = Math.max(...boxes.map((b) => b.x + b.width));
+    const bottom = Math.min(...boxes.map((b) => b.y));
+    const top = Math.max(...boxes.map((b) => b.y + b.height));
+
+    for (const x of gutterCentres(placements, 'column', 'x', 'width')) {
+      between.push([x, bottom, x, top]);
+    }
+    for (const y of gutterCentres(placements, 'row', 'y', 'height')) {
+      between.push([left, y, right, y]);
+    }
+  }
+
+  return { around, between };
+};
@@ -0,0 +1,188 @@
+// Variable-data datasets (holder name, seat, row, gate, ...).
+//
+// Uploads (CSV or JSON) are normalised once into { columns, rows } with string cells and stored in S3
+// as JSON; the engine only ever reads that normalised form. Row i belongs to the i-th numbered item,
+// using the same globalIdx mapping as series numbers (layout.numberingOrder applies).
+
+export const DATASET_KEY_PREFIX = 'documents/datasets/';
+export const DATASET_MAX_ROWS = 200000;
+export const DATASET_MAX_COLUMNS = 64;
+export const DATASET_MAX_BYTES = 20 * 1024 * 1024;
+
+// RFC 4180: quoted fields, "" escapes, CRLF or LF line endings. A leading BOM is dropped.
+export const parseCsv = (text) => {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+        i += 1;
+        continue;
+      }
+      field += ch;
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+    } else {
+      field += ch;
+    }
+    i += 1;
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data.
+  return records.filter((r) => !(r.length === 1 && r[0] === ''));
+};
+
+// WinAnsiEncoding, the only encoding the standard PDF fonts have: printable Latin-1 plus the
+// cp1252 extras in 0x80-0x9F. Tabs and line breaks are handled by the text layout, not the font.
+const WIN_ANSI_EXTRAS = new Set([
+  0x152, 0x153, 0x160, 0x161, 0x178, 0x17d, 0x17e, 0x192, 0x2c6, 0x2dc, 0x2013, 0x2014, 0x2018, 0x2019,
+  0x201a, 0x201c, 0x201d, 0x201e, 0x2020, 0x2021, 0x2022, 0x2026, 0x2030, 0x2039, 0x203a, 0x20ac, 0x2122,
+]);
+
+export const isWinAnsiText = (text) => {
+  for (const ch of String(text)) {
+    const cp = ch.codePointAt(0);
+    if (cp === 0x09 || cp === 0x0a || cp === 0x0d) continue;
+    if ((cp >= 0x20 && cp <= 0x7e) || (cp >= 0xa0 && cp <= 0xff) || WIN_ANSI_EXTRAS.has(cp)) continue;
+    return false;
+  }
+  return true;
+};
+
+// Columns with a cell the standard fonts cannot draw ("Łukasz"); fields bound to them need a registered font.
+export const findUnicodeColumns = (columns, rows) =>
+  columns.filter((_, ci) => rows.some((row) => !isWinAnsiText(row[ci] ?? '')));
+
+// Stored with the dataset at upload; datasets uploaded before that are scanned.
+export const unicodeColumnsOf = (dataset) =>
+  Array.isArray(dataset?.unicodeColumns) ? dataset.unicodeColumns : findUnicodeColumns(dataset.columns, dataset.rows);
+
+const cellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const assertDatasetShape = (columns, rows) => {
+  if (columns.length === 0) throw new Error('Dataset has no columns');
+  if (columns.length > DATASET_MAX_COLUMNS) throw new Error(`Dataset has more than ${DATASET_MAX_COLUMNS} columns`);
+  if (new Set(columns).size !== columns.length) throw new Error('Dataset column names must be unique');
+  if (columns.some((c) => !c)) throw new Error('Dataset column names must not be empty');
+  if (rows.length === 0) throw new Error('Dataset has no rows');
+  if (rows.length > DATASET_MAX_ROWS) throw new Error(`Dataset has more than ${DATASET_MAX_ROWS} rows`);
+};
+
+const fromCsv = (text) => {
+  const [header, ...body] = parseCsv(text);
+  const columns = (header || []).map((c) => c.trim());
+  const rows = body.map((r, idx) => {
+    if (r.length > columns.length) {
+      throw new Error(`CSV row ${idx + 2} has ${r.length} fields, header has ${columns.length}`);
+    }
+    return columns.map((_, ci) => r[ci] ?? '');
+  });
+  return { columns, rows };
+};
+
+// JSON: an array of row objects, or { rows: [...] }. Columns are the union of keys in first-seen order.
+const fromJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch {
+    throw new Error('Dataset JSON could not be parsed');
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed?.rows;
+  if (!Array.isArray(items) || items.some((r) => !r || typeof r !== 'object' || Array.isArray(r))) {
+    throw new Error('Dataset JSON must be an array of objects or { rows: [...] }');
+  }
+
+  const columns = [];
+  const seen = new Set();
+  for (const item of items) {
+    for (const key of Object.keys(item)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    }
+  }
+  const rows = items.map((item) => columns.map((c) => cellToString(item[c])));
+  return { columns, rows };
+};
+
+export const normalizeDataset = (buffer, { filename = '', mimetype = '' } = {}) => {
+  if (!buffer || buffer.length === 0) throw new Error('Dataset file is empty');
+  if (buffer.length > DATASET_MAX_BYTES) throw new Error('Dataset file is too large');
+
+  const name = String(filename).toLowerCase();
+  const mime = String(mimetype).toLowerCase();
+  const text = buffer.toString('utf8');
+  const isJson = mime === 'application/json' || name.endsWith('.json');
+  const isCsv = mime === 'text/csv' || mime === 'application/vnd.ms-excel' || name.endsWith('.csv');
+  if (!isJson && !isCsv) {
+    throw new Error('Only CSV or JSON datasets are supported');
+  }
+
+  const dataset = isJson ? fromJson(text) : fromCsv(text);
+  assertDatasetShape(dataset.columns, dataset.rows);
+  return { ...dataset, unicodeColumns: findUnicodeColumns(dataset.columns, dataset.rows) };
+};
+
+// One message per field bound to a column the dataset does not have, so a typo is rejected before render.
+export const datasetColumnErrors = (dataset, fields) => {
+  const columns = new Set(Array.isArray(dataset?.columns) ? dataset.columns : []);
+  const errors = [];
+  (Array.isArray(fields) ? fields : []).forEach((field, index) => {
+    if (!columns.has(field?.column)) {
+      errors.push(`fields[${index}].column ${JSON.stringify(field?.column)} is not a column of the dataset`);
+    }
+  });
+  return errors;
+};
+
+// Returns (rowIdx) => cell string, or null when the row does not exist.
+export const createColumnReader = (dataset, column) => {
+  const colIdx = Array.isArray(dataset?.columns) ? dataset.columns.indexOf(column) : -1;
+  if (colIdx < 0) {
+    throw new Error(`Dataset column not found: ${JSON.stringify(column)}`);
+  }
+  const rows = Array.isArray(dataset.rows) ? dataset.rows : [];
+  return (rowIdx) => {
+    const row = rows[rowIdx];
+    return row ? String(row[colIdx] ?? '') : null;
+  };
+};
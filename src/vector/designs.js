@@ -0,0 +1,143 @@
+// Mixed designs on one sheet (opt-in via metadata.designs).
+//
+// metadata.designs = [
+//   { id: 'vip', sourcePdfKey: 'documents/vip.pdf', ticketCrop: { pageIndex, xRatio, yRatio, widthRatio, heightRatio } },
+//   { id: 'child', ticketCrop: { pageIndex: 2, ... } },   // sourcePdfKey defaults to metadata.sourcePdfKey
+// ]
+// layout.slotDesigns = ['vip', null, ...]                 // one entry per slot; null keeps the main ticketCrop
+// metadata.designRanges = [{ from: 1, to: 50, design: 'vip' }]
+//
+// Ranges count ticket positions in the run (1-based, in layout.numberingOrder: the position the series
+// numbers from), so "the first 50 tickets are VIP" holds however the sheet is imposed. A ticket in a
+// range takes the range's design, otherwise its slot's design, otherwise the main crop.
+//
+// A design only replaces the artwork: slot geometry, mm placement (ticketCrop.widthMm / xMm / ...) and
+// everything drawn on top stay those of the job. Each design is fitted into the slot like the main crop.
+const DESIGN_ID = /^[A-Za-z0-9_-]{1,32}$/;
+const CROP_RATIOS = ['xRatio', 'yRatio', 'widthRatio', 'heightRatio'];
+
+export const MAX_DESIGNS = 16;
+export const MAX_DESIGN_RANGES = 256;
+
+const resolveDesignCrop = (crop, path) => {
+  if (!crop || typeof crop !== 'object' || Array.isArray(crop)) {
+    throw new Error(`${path} must be an object`);
+  }
+  if (!Number.isInteger(crop.pageIndex) || crop.pageIndex < 0) {
+    throw new Error(`${path}.pageIndex must be an integer >= 0`);
+  }
+  const resolved = { pageIndex: crop.pageIndex };
+  for (const field of CROP_RATIOS) {
+    const value = crop[field];
+    if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+      throw new Error(`${path}.${field} must be a number between 0 and 1`);
+    }
+    resolved[field] = value;
+  }
+  if (resolved.widthRatio === 0 || resolved.heightRatio === 0) {
+    throw new Error(`${path} must have a non-zero size`);
+  }
+  if (resolved.xRatio + resolved.widthRatio > 1 || resolved.yRatio + resolved.heightRatio > 1) {
+    throw new Error(`${path} must fit inside the source page`);
+  }
+  return resolved;
+};
+
+const resolveSlotDesigns = (raw, designs, repeatPerPage) => {
+  if (raw === undefined || raw === null) return null;
+  if (!Array.isArray(raw) || raw.length !== Number(repeatPerPage)) {
+    throw new Error('layout.slotDesigns must have one entry per slot (layout.repeatPerPage)');
+  }
+  raw.forEach((id, i) => {
+    if (id !== null && !designs.has(id)) {
+      throw new Error(`layout.slotDesigns[${i}] must be null or a metadata.designs id`);
+    }
+  });
+  return raw;
+};
+
+const resolveDesignRanges = (raw, designs) => {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw) || raw.length > MAX_DESIGN_RANGES) {
+    throw new Error(`designRanges must be an array of at most ${MAX_DESIGN_RANGES} ranges`);
+  }
+
+  const ranges = raw.map((range, i) => {
+    const path = `designRanges[${i}]`;
+    if (!range || typeof range !== 'object') {
+      throw new Error(`${path} must be an object`);
+    }
+    if (!Number.isInteger(range.from) || !Number.isInteger(range.to) || range.from < 1 || range.to < range.from) {
+      throw new Error(`${path}.from and .to must be integers with 1 <= from <= to`);
+    }
+    if (!designs.has(range.design)) {
+      throw new Error(`${path}.design must be a metadata.designs id`);
+    }
+    return { from: range.from, to: range.to, design: range.design };
+  });
+
+  const sorted = [...ranges].sort((a, b) => a.from - b.from);
+  for (let i = 1; i < sorted.length; i += 1) {
+    if (sorted[i].from <= sorted[i - 1].to) {
+      throw new Error('designRanges must not overlap');
+    }
+  }
+  return sorted;
+};
+
+// null when every slot uses the main crop, else the designs by id and which slots / ticket ranges use them.
+export const resolveDesigns = (metadata, repeatPerPage) => {
+  const raw = metadata?.designs;
+  const slotDesigns = metadata?.layout?.slotDesigns;
+  const designRanges = metadata?.designRanges;
+
+  if (raw === undefined || raw === null) {
+    if ((slotDesigns !== undefined && slotDesigns !== null) || (designRanges !== undefined && designRanges !== null)) {
+      throw new Error('layout.slotDesigns and designRanges need metadata.designs');
+    }
+    return null;
+  }
+  if (!Array.isArray(raw) || raw.length < 1 || raw.length > MAX_DESIGNS) {
+    throw new Error(`designs must be an array of 1 to ${MAX_DESIGNS} designs`);
+  }
+
+  const designs = new Map();
+  raw.forEach((design, i) => {
+    const path = `designs[${i}]`;
+    if (!design || typeof design !== 'object') {
+      throw new Error(`${path} must be an object`);
+    }
+    if (typeof design.id !== 'string' || !DESIGN_ID.test(design.id)) {
+      throw new Error(`${path}.id must be 1 to 32 letters, digits, "-" or "_"`);
+    }
+    if (designs.has(design.id)) {
+      throw new Error(`${path}.id "${design.id}" is used twice`);
+    }
+    const hasOwnSource = design.sourcePdfKey !== undefined && design.sourcePdfKey !== null;
+    if (hasOwnSource && (typeof design.sourcePdfKey !== 'string' || !design.sourcePdfKey.trim())) {
+      throw new Error(`${path}.sourcePdfKey must be a non-empty string when provided`);
+    }
+    designs.set(design.id, {
+      id: design.id,
+      sourcePdfKey: hasOwnSource ? design.sourcePdfKey.trim() : metadata.sourcePdfKey,
+      ticketCrop: resolveDesignCrop(design.ticketCrop, `${path}.ticketCrop`),
+    });
+  });
+
+  return {
+    designs,
+    slotDesigns: resolveSlotDesigns(slotDesigns, designs, repeatPerPage),
+    ranges: resolveDesignRanges(designRanges, designs),
+  };
+};
+
+// Design id for a ticket (position is zero-based, as returned by the slot indexer), or null for the main crop.
+export const designAt = (config, { position, slotIdx }) => {
+  const ticket = position + 1;
+  const range = config.ranges.find((r) => ticket >= r.from && ticket <= r.to);
+  if (range) return range.design;
+  return config.slotDesigns ? config.slotDesigns[slotIdx] : null;
+};
+
+// Distinct template keys the designs read from, so each is loaded once per job.
+export const designSourceKeys = (config) => [...new Set([...config.designs.values()].map((d) => d.sourcePdfKey))];
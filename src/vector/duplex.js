@@ -0,0 +1,154 @@
+// Duplex output (opt-in via metadata.back).
+//
+// metadata.back = {
+//   sourcePdfKey: 'documents/...pdf',   // optional; defaults to the front template
+//   pageIndex: 1,                       // optional; defaults to 1 on the front template, 0 on a separate one
+//   ticketCrop: { xRatio, yRatio, widthRatio, heightRatio },  // optional; defaults to the front crop ratios
+//   flip: 'long-edge' | 'short-edge',   // how the sheet turns over in the press (default long-edge)
+//   repeatSeries: false,                // draw the front series values on the back of the same ticket
+// }
+//
+// Every front sheet is followed by its back sheet. Back objects sit exactly behind their front
+// counterparts: long-edge flips mirror x, short-edge flips mirror y. The back artwork is stretched to
+// the front object box so both sides register even if the back crop has a slightly different aspect.
+// Rotated slots (slotRotation.js) turn the other way on the back, which keeps the back artwork in the
+// same relation to its object as on an upright slot. With repeatSeries each back number covers the box
+// of its front number: the text box is reflected inside the object (mirrorTextSlot) and drawn upright from
+// the reflected corner, rotated text turning the other way; barcode and QR boxes are reflected too.
+import { ptToMm } from './pageSize.js';
+import { snap } from './constants.js';
+
+export const DUPLEX_FLIPS = ['long-edge', 'short-edge'];
+
+const CROP_FIELDS = ['xRatio', 'yRatio', 'widthRatio', 'heightRatio'];
+
+// null when single-sided, else the back settings with every default filled in.
+export const resolveDuplex = (metadata) => {
+  const back = metadata?.back;
+  if (back === undefined || back === null || back === false) return null;
+  if (typeof back !== 'object' || Array.isArray(back)) {
+    throw new Error('back must be an object when provided');
+  }
+
+  const hasOwnSource = back.sourcePdfKey !== undefined && back.sourcePdfKey !== null;
+  if (hasOwnSource && (typeof back.sourcePdfKey !== 'string' || !back.sourcePdfKey.trim())) {
+    throw new Error('back.sourcePdfKey must be a non-empty string when provided');
+  }
+  const sourcePdfKey = hasOwnSource ? back.sourcePdfKey.trim() : metadata.sourcePdfKey;
+  const sameSource = !hasOwnSource || sourcePdfKey === metadata.sourcePdfKey;
+
+  const pageIndex = back.pageIndex ?? (sameSource ? 1 : 0);
+  if (!Number.isInteger(pageIndex) || pageIndex < 0) {
+    throw new Error('back.pageIndex must be an integer >= 0');
+  }
+
+  const flip = back.flip ?? 'long-edge';
+  if (!DUPLEX_FLIPS.includes(flip)) {
+    throw new Error(`back.flip must be one of: ${DUPLEX_FLIPS.join(', ')}`);
+  }
+
+  if (back.repeatSeries !== undefined && typeof back.repeatSeries !== 'boolean') {
+    throw new Error('back.repeatSeries must be a boolean when provided');
+  }
+
+  const cropSource = back.ticketCrop ?? metadata.ticketCrop;
+  if (!cropSource || typeof cropSource !== 'object') {
+    throw new Error('back.ticketCrop must be an object when provided');
+  }
+  const ticketCrop = {};
+  for (const field of CROP_FIELDS) {
+    const value = cropSource[field];
+    if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+      throw new Error(`back.ticketCrop.${field} must be a number between 0 and 1`);
+    }
+    ticketCrop[field] = value;
+  }
+  if (ticketCrop.widthRatio === 0 || ticketCrop.heightRatio === 0) {
+    throw new Error('back.ticketCrop must have a non-zero size');
+  }
+  if (ticketCrop.xRatio + ticketCrop.widthRatio > 1 || ticketCrop.yRatio + ticketCrop.heightRatio > 1) {
+    throw new Error('back.ticketCrop must fit inside the back page');
+  }
+
+  return { sourcePdfKey, pageIndex, ticketCrop, flip, repeatSeries: back.repeatSeries === true };
+};
+
+// Placement of the object printed behind `placement` once the sheet is turned over.
+export const mirrorPlacement = (placement, pageSize, flip) => {
+  const mirrored = { ...placement };
+
+  if (flip === 'long-edge') {
+    mirrored.contentLeft = snap(pageSize.width - Number(placement.contentLeft) - Number(placement.contentWidth));
+    mirrored.slotLeft = snap(pageSize.width - Number(placement.slotLeft) - Number(placement.slotWidth));
+  } else {
+    mirrored.contentBottom = snap(pageSize.height - Number(placement.contentBottom) - Number(placement.contentHeight));
+    mirrored.slotBottom = snap(pageSize.height - Number(placement.slotBottom) - Number(placement.slotHeight));
+  }
+
+  if (placement.rotation) {
+    mirrored.rotation = (360 - placement.rotation) % 360;
+  }
+
+  if (placement.objectMm) {
+    const objectMm = { ...placement.objectMm };
+    if (flip === 'long-edge') {
+      objectMm.xMm = ptToMm(pageSize.width) - objectMm.xMm - objectMm.widthMm;
+    } else {
+      objectMm.yMm = ptToMm(pageSize.height) - objectMm.yMm - objectMm.heightMm;
+    }
+    mirrored.objectMm = objectMm;
+  }
+
+  return mirrored;
+};
+
+// Barcode / QR box (ratios of the object) reflected to match flip.
+const mirrorBox = (box, flip) => {
+  if (!box || typeof box !== 'object') return box;
+  return flip === 'long-edge'
+    ? { ...box, xRatio: 1 - Number(box.xRatio) - Number(box.widthRatio) }
+    : { ...box, yRatio: 1 - Number(box.yRatio) - Number(box.heightRatio) };
+};
+
+// Series as drawn on the back: code boxes reflected here, text slots at draw time (mirrorTextSlot needs
+// the drawn text's size).
+export const mirrorSeries = (series, flip) =>
+  (Array.isArray(series) ? series : []).map((seriesConfig) => ({
+    ...seriesConfig,
+    barcode: mirrorBox(seriesConfig.barcode, flip),
+    qr: mirrorBox(seriesConfig.qr, flip),
+  }));
+
+// Text slot whose text covers, on the back, the box the front text covers. Sizes are points of the
+// rendered object: widthPt is the text advance, ascentPt / descentPt the font extents, and
+// baselineOffsetPt how far below the slot's yRatio point the baseline sits.
+export const mirrorTextSlot = (slot, flip, { objectWidthPt, objectHeightPt, baselineOffsetPt, ascentPt, descentPt, widthPt }) => {
+  const deg = Number(slot.rotation ?? 0) || 0;
+  const rad = (deg * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+
+  // Front baseline start, from the object's bottom-left corner (y up).
+  const x = Number(slot.xRatio) * objectWidthPt;
+  const y = objectHeightPt - (Number(slot.yRatio) * objectHeightPt + baselineOffsetPt);
+
+  // The back text runs at -deg. Long edge: it starts at the reflected end of the front baseline.
+  // Short edge: at the reflected start, moved down by ascent - descent so the glyphs fill the reflected box.
+  let backX;
+  let backY;
+  if (flip === 'long-edge') {
+    backX = objectWidthPt - (x + widthPt * cos);
+    backY = y + widthPt * sin;
+  } else {
+    const shift = ascentPt - descentPt;
+    backX = x - shift * sin;
+    backY = objectHeightPt - y - shift * cos;
+  }
+
+  return {
+    ...slot,
+    xRatio: backX / objectWidthPt,
+    yRatio: (objectHeightPt - backY - baselineOffsetPt) / objectHeightPt,
+    ...(deg ? { rotation: -deg } : {}),
+  };
+};
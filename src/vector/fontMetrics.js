@@ -6,8 +6,10 @@ export class FontMetricsCache {
   }
 
   // Get font metrics for a specific font and size
+  // The embedded font name is part of the key: a family name that fell back to Helvetica before a
+  // custom font was registered under it must not keep serving Helvetica metrics afterwards.
   getMetrics(fontFamily, fontSize, pdfFont) {
-    const key = `${fontFamily}-${fontSize}`;
+    const key = `${fontFamily}-${pdfFont?.name || ''}-${fontSize}`;
     
     if (!this.cache.has(key)) {
       const metrics = this.calculateMetrics(fontFamily, fontSize, pdfFont);
@@ -0,0 +1,159 @@
+// Custom TTF/OTF fonts referenced by name from series.font / watermark.fontFamily / fields[].font.
+//
+// The built-in family names (pdf-lib StandardFonts and the usual aliases) always mean the standard
+// fonts and cannot be registered. Any other name uses its registered font; a name that is not registered
+// keeps the mapping it always had (contains "times" → Times-Roman, "courier" → Courier, else Helvetica)
+// and logs a warning, so jobs written before the registry render as they did.
+import PDFLib from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import VectorFont from '../vectorModels/VectorFont.js';
+import { downloadFromS3 } from '../services/s3.js';
+import { unicodeColumnsOf } from './dataset.js';
+
+export const FONT_KEY_PREFIX = 'documents/fonts/';
+export const FONT_MAX_BYTES = 10 * 1024 * 1024;
+
+const { StandardFonts } = PDFLib;
+
+// Every weight / style name draws the regular face of its family, as it always has.
+const STANDARD_FAMILIES = {
+  [StandardFonts.Helvetica]: [
+    StandardFonts.Helvetica,
+    StandardFonts.HelveticaBold,
+    StandardFonts.HelveticaOblique,
+    StandardFonts.HelveticaBoldOblique,
+    'Arial',
+  ],
+  [StandardFonts.TimesRoman]: [
+    StandardFonts.TimesRoman,
+    StandardFonts.TimesRomanBold,
+    StandardFonts.TimesRomanItalic,
+    StandardFonts.TimesRomanBoldItalic,
+    'Times',
+    'Times New Roman',
+  ],
+  [StandardFonts.Courier]: [
+    StandardFonts.Courier,
+    StandardFonts.CourierBold,
+    StandardFonts.CourierOblique,
+    StandardFonts.CourierBoldOblique,
+    'Courier New',
+  ],
+};
+const FONT_BYTES_CACHE_LIMIT = 32;
+const fontBytesCache = new Map();
+
+export const normalizeFontNameKey = (name) => String(name || '').trim().toLowerCase();
+
+const STANDARD_FONT_BY_KEY = new Map(
+  Object.entries(STANDARD_FAMILIES).flatMap(([font, names]) => names.map((n) => [normalizeFontNameKey(n), font]))
+);
+
+// StandardFonts value for a built-in name (no name means Helvetica), otherwise null.
+export const standardFontFor = (name) => {
+  const key = normalizeFontNameKey(name);
+  if (!key) return StandardFonts.Helvetica;
+  return STANDARD_FONT_BY_KEY.get(key) ?? null;
+};
+
+export const isStandardFontName = (name) => standardFontFor(name) !== null;
+
+// The pre-registry mapping, for names that are neither standard nor registered.
+const fallbackStandardFont = (name) => {
+  const key = normalizeFontNameKey(name);
+  if (key.includes('times')) return StandardFonts.TimesRoman;
+  if (key.includes('courier')) return StandardFonts.Courier;
+  return StandardFonts.Helvetica;
+};
+
+const warnedFallbackNames = new Set();
+
+// StandardFonts value a name draws with when it has no registered font.
+export const standardFontOrFallback = (name) => {
+  const standard = standardFontFor(name);
+  if (standard) return standard;
+
+  const fallback = fallbackStandardFont(name);
+  const key = normalizeFontNameKey(name);
+  if (!warnedFallbackNames.has(key)) {
+    warnedFallbackNames.add(key);
+    console.warn(`[FontRegistry] font "${name}" is not registered; drawing with ${fallback}`);
+  }
+  return fallback;
+};
+
+// Fields whose dataset column holds text outside WinAnsi need a registered font: a standard font (by name
+// or by fallback) would fail mid-render. Returns one message per such field so callers can reject the job
+// up front; database errors propagate.
+export const datasetFontErrors = async (dataset, fields) => {
+  const unicodeColumns = new Set(unicodeColumnsOf(dataset));
+  const errors = [];
+  const list = Array.isArray(fields) ? fields : [];
+  for (const [index, field] of list.entries()) {
+    if (!unicodeColumns.has(field?.column)) continue;
+    const registered = !isStandardFontName(field.font) && (await findRegisteredFont(field.font));
+    if (!registered) {
+      errors.push(
+        `fields[${index}].font "${field.font || 'Helvetica'}" cannot draw column "${field.column}" (characters outside Latin-1); use a registered font`
+      );
+    }
+  }
+  return errors;
+};
+
+// Parses the upload with fontkit so broken or unsupported files are rejected before they reach S3.
+export const inspectFontBuffer = (buffer) => {
+  if (!buffer || buffer.length === 0) throw new Error('Font file is empty');
+  if (buffer.length > FONT_MAX_BYTES) throw new Error('Font file is too large');
+
+  let font;
+  try {
+    font = fontkit.create(buffer);
+  } catch {
+    throw new Error('Font file could not be parsed');
+  }
+  if (!font || typeof font.layout !== 'function' || Array.isArray(font.fonts)) {
+    throw new Error('Only single TrueType/OpenType fonts are supported (no collections)');
+  }
+
+  const outlines = font['CFF '] || font.CFF2 ? 'cff' : 'truetype';
+  return {
+    format: outlines === 'cff' ? 'otf' : 'ttf',
+    outlines,
+    postscriptName: font.postscriptName || null,
+    familyName: font.familyName || null,
+  };
+};
+
+const readFontBytes = async (fileKey) => {
+  if (fontBytesCache.has(fileKey)) {
+    const bytes = fontBytesCache.get(fileKey);
+    fontBytesCache.delete(fileKey);
+    fontBytesCache.set(fileKey, bytes);
+    return bytes;
+  }
+  const bytes = await downloadFromS3(fileKey);
+  fontBytesCache.set(fileKey, bytes);
+  if (fontBytesCache.size > FONT_BYTES_CACHE_LIMIT) {
+    fontBytesCache.delete(fontBytesCache.keys().next().value);
+  }
+  return bytes;
+};
+
+const findRegisteredFont = (name) =>
+  VectorFont.findOne({ nameKey: normalizeFontNameKey(name) }).select('name fileKey outlines').lean().exec();
+
+// Returns { name, bytes, subset } for a registered font, or null when the name draws with a standard font
+// (see standardFontOrFallback). CFF-flavoured OTF is embedded whole: fontkit's CFF subsetter drops glyphs
+// on some foundry files.
+export const resolveRegisteredFont = async (name) => {
+  if (isStandardFontName(name)) return null;
+
+  const doc = await findRegisteredFont(name);
+  if (!doc || typeof doc.fileKey !== 'string') return null;
+
+  const bytes = await readFontBytes(doc.fileKey);
+  return { name: doc.name, bytes, subset: doc.outlines !== 'cff' };
+};
+
+export { fontkit };
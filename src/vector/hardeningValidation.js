@@ -1,3 +1,8 @@
+import { NUMBERING_ORDERS } from './numbering.js';
+import { resolveSeriesSequence } from './seriesSequence.js';
+import { createSeriesValueSource, resolveLayoutTotalPages } from './seriesValues.js';
+import { resolveAutoSlots } from './sheetFit.js';
+
 export class VectorJobValidationError extends Error {
   constructor(message, details = null) {
     super(message);
@@ -8,8 +13,20 @@ export class VectorJobValidationError extends Error {
 }
 
 export function assertVectorJobEnqueueable(metadata) {
+  // repeatPerPage 'auto' is checked as the layout it resolves to.
+  try {
+    metadata = resolveAutoSlots(metadata);
+  } catch (err) {
+    throw new VectorJobValidationError('Invalid repeatPerPage', { field: 'layout.repeatPerPage', reason: err.message });
+  }
+
   const maxPages = Math.max(1, Number(process.env.VECTOR_MAX_PAGES || 700));
-  const totalPages = Number(metadata?.layout?.totalPages || 1);
+  let totalPages;
+  try {
+    totalPages = Number(resolveLayoutTotalPages(metadata) ?? 1);
+  } catch (err) {
+    throw new VectorJobValidationError('Invalid series values', { field: 'series', reason: err.message });
+  }
 
   if (!Number.isFinite(totalPages) || totalPages < 1) {
     throw new VectorJobValidationError('Invalid totalPages', { field: 'layout.totalPages' });
@@ -24,6 +41,12 @@ export function assertVectorJobEnqueueable(metadata) {
     throw new VectorJobValidationError('Invalid repeatPerPage', { field: 'layout.repeatPerPage' });
   }
 
+  const numberingOrder = metadata?.layout?.numberingOrder;
+  if (numberingOrder !== undefined && numberingOrder !== null && !NUMBERING_ORDERS.includes(numberingOrder)) {
+    throw new VectorJobValidationError('Invalid numberingOrder', { field: 'layout.numberingOrder', numberingOrder });
+  }
+
+  // Every numbering order is a permutation of [0, totalItems), so the series range check holds for all of them.
   const totalItems = totalPages * repeatPerPage;
   if (!Number.isFinite(totalItems) || totalItems < 1 || totalItems > Number.MAX_SAFE_INTEGER) {
     throw new VectorJobValidationError('Invalid total items', { totalPages, repeatPerPage });
@@ -34,23 +57,31 @@ export function assertVectorJobEnqueueable(metadata) {
     throw new VectorJobValidationError('Invalid colorMode', { colorMode: mode });
   }
 
+  // Range checks run on sequence ordinals; non-decimal kinds are also bounded by their own capacity
+  // (e.g. 2 letters + 4 digits stops at ZZ9999).
   const maxSeriesEnd = Math.max(1, Number(process.env.VECTOR_MAX_SERIES_END || 1000000000));
   if (Array.isArray(metadata?.series)) {
     for (const s of metadata.series) {
       if (!s) continue;
-      const start = Number(s.start);
-      const step = Number(s.step);
-      if (Number.isFinite(start) && Number.isFinite(step) && step > 0) {
-        const end = start + (Math.max(0, totalItems - 1) * step);
-        if (!Number.isFinite(end) || end > maxSeriesEnd) {
-          throw new VectorJobValidationError('Invalid series range', {
-            start,
-            step,
-            totalItems,
-            computedEnd: end,
-            maxSeriesEnd,
-          });
-        }
+      let sequence;
+      let source;
+      try {
+        sequence = resolveSeriesSequence(s);
+        source = createSeriesValueSource(s, sequence);
+      } catch (err) {
+        throw new VectorJobValidationError('Invalid series sequence', { seriesId: s.id ?? null, reason: err.message });
+      }
+      const end = source.maxOrdinal(totalItems);
+      const maxEnd = Math.min(maxSeriesEnd, sequence.capacity - 1);
+      if (!Number.isFinite(end) || end > maxEnd) {
+        throw new VectorJobValidationError('Invalid series range', {
+          start: source.valueAt(0),
+          step: s.step ?? null,
+          totalItems,
+          computedEnd: end,
+          maxSeriesEnd: maxEnd,
+          sequenceKind: sequence.kind,
+        });
       }
     }
   }
@@ -0,0 +1,48 @@
+// Sheet → series index mapping for imposed output.
+//
+// row-major     : consecutive numbers across a sheet, in slot-plan order (historical behaviour).
+// column-major  : consecutive numbers down each column of a sheet, then the next column.
+// cut-and-stack : each slot position is its own stack after guillotining; slot 0 gets
+//                 the first totalPages numbers, slot 1 the next totalPages, and so on.
+export const NUMBERING_ORDERS = ['row-major', 'column-major', 'cut-and-stack'];
+export const DEFAULT_NUMBERING_ORDER = 'row-major';
+
+export const resolveNumberingOrder = (layout) => {
+  const raw = layout?.numberingOrder;
+  if (raw === undefined || raw === null) return DEFAULT_NUMBERING_ORDER;
+  if (!NUMBERING_ORDERS.includes(raw)) {
+    throw new Error(`Invalid layout.numberingOrder: ${JSON.stringify(raw)}`);
+  }
+  return raw;
+};
+
+// Rank of each slot when reading a sheet column by column. Placements without grid
+// coordinates are treated as a single column, so the rank is the slot index.
+const columnMajorRanks = (placements) => {
+  const order = placements
+    .map((p, slotIdx) => ({ slotIdx, row: Number(p?.row ?? slotIdx), column: Number(p?.column ?? 0) }))
+    .sort((a, b) => (a.column - b.column) || (a.row - b.row));
+
+  const ranks = new Array(placements.length);
+  order.forEach((entry, rank) => {
+    ranks[entry.slotIdx] = rank;
+  });
+  return ranks;
+};
+
+// Returns (pageIdx, slotIdx) => zero-based position in the series.
+export const createSlotIndexer = ({ order, repeatPerPage, totalPages, placements }) => {
+  const perSheet = Math.max(1, Number(repeatPerPage) || 1);
+
+  if (order === 'cut-and-stack') {
+    const sheets = Math.max(1, Number(totalPages) || 1);
+    return (pageIdx, slotIdx) => slotIdx * sheets + pageIdx;
+  }
+
+  if (order === 'column-major') {
+    const ranks = columnMajorRanks(Array.isArray(placements) ? placements : []);
+    return (pageIdx, slotIdx) => pageIdx * perSheet + (ranks[slotIdx] ?? slotIdx);
+  }
+
+  return (pageIdx, slotIdx) => pageIdx * perSheet + slotIdx;
+};
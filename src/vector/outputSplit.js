@@ -0,0 +1,104 @@
+// Output split (opt-in via metadata.outputSplit): one job delivered as several PDFs.
+//
+// metadata.outputSplit = { ticketsPerFile: 500 }   // one file per finishing "box"
+// metadata.outputSplit = { sheetsPerFile: 100 }
+//
+// Files hold whole sheets, so ticketsPerFile must be a multiple of layout.repeatPerPage. A box is a run
+// of consecutive ticket numbers, which cut-and-stack numbering does not put on consecutive sheets, so
+// boxes need row-major or column-major numbering; sheetsPerFile works with any order.
+//
+// Each file is named after the serial range of the first series on it (001_A000001-A000500.pdf), or
+// after its sheet range (001_sheets-1-100.pdf) when the job has no series or numbers cut-and-stack.
+import { resolveNumberingOrder } from './numbering.js';
+import { resolveAutoSlots, slotsPerSheet } from './sheetFit.js';
+import { createSeriesFormatter } from './seriesFormat.js';
+import { createSeriesValueSource } from './seriesValues.js';
+
+export const MAX_OUTPUT_FILES = 1000;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+const fileNameSafe = (value) => String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+
+// null when the job is one file, else the sheets (and tickets) per file. With sheetCount the number of
+// files is checked too.
+export const resolveOutputSplit = (metadata, sheetCount = null) => {
+  const raw = metadata?.outputSplit;
+  if (!isSet(raw)) return null;
+  // layout.repeatPerPage 'auto' becomes a concrete layout before anything reads it.
+  metadata = resolveAutoSlots(metadata);
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('outputSplit must be an object with ticketsPerFile or sheetsPerFile');
+  }
+  if (isSet(raw.ticketsPerFile) === isSet(raw.sheetsPerFile)) {
+    throw new Error('outputSplit needs exactly one of ticketsPerFile or sheetsPerFile');
+  }
+
+  let split;
+  if (isSet(raw.sheetsPerFile)) {
+    if (!Number.isInteger(raw.sheetsPerFile) || raw.sheetsPerFile < 1) {
+      throw new Error('outputSplit.sheetsPerFile must be an integer >= 1');
+    }
+    split = { sheetsPerFile: raw.sheetsPerFile, ticketsPerFile: null };
+  } else {
+    const repeatPerPage = slotsPerSheet(metadata?.layout);
+    if (!Number.isInteger(raw.ticketsPerFile) || raw.ticketsPerFile < 1) {
+      throw new Error('outputSplit.ticketsPerFile must be an integer >= 1');
+    }
+    if (raw.ticketsPerFile % repeatPerPage !== 0) {
+      throw new Error(
+        `outputSplit.ticketsPerFile must be a multiple of layout.repeatPerPage (${repeatPerPage}) so each file holds whole sheets`
+      );
+    }
+    if (resolveNumberingOrder(metadata.layout) === 'cut-and-stack') {
+      throw new Error('outputSplit.ticketsPerFile needs row-major or column-major numbering; use sheetsPerFile with cut-and-stack');
+    }
+    split = { sheetsPerFile: raw.ticketsPerFile / repeatPerPage, ticketsPerFile: raw.ticketsPerFile };
+  }
+
+  if (Number.isFinite(sheetCount) && Math.ceil(sheetCount / split.sheetsPerFile) > MAX_OUTPUT_FILES) {
+    throw new Error(`outputSplit would write more than ${MAX_OUTPUT_FILES} files`);
+  }
+  return split;
+};
+
+// Files in order: { index, sheets: { start, end }, firstSerial, lastSerial, fileName }; sheets.end is exclusive.
+export const planOutputParts = (metadata, split, sheetCount) => {
+  metadata = resolveAutoSlots(metadata);
+  const repeatPerPage = slotsPerSheet(metadata?.layout);
+  const series = Array.isArray(metadata?.series) ? metadata.series[0] : null;
+
+  // Ticket positions on a run of sheets are consecutive except under cut-and-stack.
+  let serialAt = null;
+  if (series && resolveNumberingOrder(metadata.layout) !== 'cut-and-stack') {
+    const source = createSeriesValueSource(series);
+    const format = createSeriesFormatter(series, { fallbackDate: metadata.jobCreatedAt ?? null });
+    serialAt = (position) => {
+      const value = source.valueAt(Math.min(position, source.count - 1));
+      return value === null ? null : format(value);
+    };
+  }
+
+  const count = Math.ceil(sheetCount / split.sheetsPerFile);
+  const width = Math.max(3, String(count).length);
+  const parts = [];
+  for (let index = 0; index < count; index += 1) {
+    const start = index * split.sheetsPerFile;
+    const end = Math.min(sheetCount, start + split.sheetsPerFile);
+    const firstSerial = serialAt ? serialAt(start * repeatPerPage) : null;
+    const lastSerial = serialAt ? serialAt(end * repeatPerPage - 1) : null;
+    const range = firstSerial !== null && lastSerial !== null
+      ? `${fileNameSafe(firstSerial)}-${fileNameSafe(lastSerial)}`
+      : `sheets-${start + 1}-${end}`;
+
+    parts.push({
+      index,
+      sheets: { start, end },
+      firstSerial,
+      lastSerial,
+      fileName: `${String(index + 1).padStart(width, '0')}_${range}.pdf`,
+    });
+  }
+  return parts;
+};
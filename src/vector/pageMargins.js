@@ -0,0 +1,72 @@
+// Sheet margins (layout.margins / placementRules.margins), checked against the printer's non-printable area.
+//
+// layout.margins = { topMm, rightMm, bottomMm, leftMm }   // any subset; missing sides keep the default
+// layout.printerProfile = 'laser'                          // see PRINTER_PROFILES; default 'generic'
+//
+// A missing side is SAFE_MARGIN (10 mm), or the profile's non-printable width on that side when that is
+// larger. Explicit sides must not reach into the non-printable area and must leave room on the sheet.
+// Resolved margins are in points, top-down naming as in the editor proxy: { top, right, bottom, left }.
+import { SAFE_MARGIN, MM_TO_PT, snap } from './constants.js';
+
+// Non-printable area per side in mm.
+export const PRINTER_PROFILES = {
+  generic: { top: 5, right: 5, bottom: 5, left: 5 },
+  laser: { top: 4.2, right: 4.2, bottom: 4.2, left: 4.2 },
+  inkjet: { top: 3, right: 3.4, bottom: 12.7, left: 3.4 },
+  digitalPress: { top: 2, right: 2, bottom: 2, left: 2 },
+  borderless: { top: 0, right: 0, bottom: 0, left: 0 },
+};
+export const DEFAULT_PRINTER_PROFILE = 'generic';
+export const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+export const DEFAULT_MARGINS = { top: SAFE_MARGIN, right: SAFE_MARGIN, bottom: SAFE_MARGIN, left: SAFE_MARGIN };
+
+// The page must keep at least this much usable area between opposite margins.
+const MIN_USABLE_PT = 10 * MM_TO_PT;
+
+// Always returns margins (defaults when nothing is configured); throws on invalid configuration.
+// `source` is a layout or a placementRules object, `path` prefixes error messages.
+export const resolvePageMargins = (source, pageSize, path = 'layout') => {
+  const profileName = source?.printerProfile ?? DEFAULT_PRINTER_PROFILE;
+  const profile = PRINTER_PROFILES[profileName];
+  if (!profile) {
+    throw new Error(`${path}.printerProfile must be one of: ${Object.keys(PRINTER_PROFILES).join(', ')}`);
+  }
+
+  const raw = source?.margins ?? null;
+  if (raw === null && profileName === DEFAULT_PRINTER_PROFILE) return DEFAULT_MARGINS;
+  if (raw !== null && (typeof raw !== 'object' || Array.isArray(raw))) {
+    throw new Error(`${path}.margins must be an object with topMm, rightMm, bottomMm and/or leftMm`);
+  }
+
+  const margins = {};
+  for (const side of MARGIN_SIDES) {
+    const valueMm = raw?.[`${side}Mm`];
+    const minimumPt = snap(profile[side] * MM_TO_PT);
+
+    if (valueMm === undefined || valueMm === null) {
+      margins[side] = Math.max(SAFE_MARGIN, minimumPt);
+      continue;
+    }
+    if (typeof valueMm !== 'number' || !Number.isFinite(valueMm) || valueMm < 0) {
+      throw new Error(`${path}.margins.${side}Mm must be a non-negative number`);
+    }
+    if (valueMm < profile[side]) {
+      throw new Error(
+        `${path}.margins.${side}Mm must be at least ${profile[side]} mm for printer profile "${profileName}"`
+      );
+    }
+    margins[side] = snap(valueMm * MM_TO_PT);
+  }
+
+  if (pageSize) {
+    if (pageSize.width - margins.left - margins.right < MIN_USABLE_PT) {
+      throw new Error(`${path}.margins: left and right margins leave no usable width on the sheet`);
+    }
+    if (pageSize.height - margins.top - margins.bottom < MIN_USABLE_PT) {
+      throw new Error(`${path}.margins: top and bottom margins leave no usable height on the sheet`);
+    }
+  }
+
+  return margins;
+};
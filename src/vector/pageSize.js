@@ -0,0 +1,50 @@
+import { PAGE_SIZES, MM_TO_PT, CUSTOM_PAGE_MIN_MM, CUSTOM_PAGE_MAX_MM, snap } from './constants.js';
+
+export const PAGE_SIZE_NAMES = Object.keys(PAGE_SIZES);
+export const PAGE_ORIENTATIONS = ['portrait', 'landscape'];
+
+export const DEFAULT_PAGE_SIZE = { name: 'A4', width: PAGE_SIZES.A4.width, height: PAGE_SIZES.A4.height };
+
+// Resolve layout.pageSize (+ optional orientation) into sheet dimensions in points.
+// pageSize is either a named sheet ("A4", "SRA3", "LETTER", ...) or a custom { widthMm, heightMm } object.
+// Returns null when the input cannot be resolved; callers decide whether that is a validation error or a crash.
+export const resolvePageSize = (pageSize, orientation = null) => {
+  let resolved = null;
+
+  if (typeof pageSize === 'string') {
+    const name = pageSize.trim().toUpperCase();
+    const named = PAGE_SIZES[name];
+    if (!named) return null;
+    resolved = { name, width: named.width, height: named.height };
+  } else if (pageSize && typeof pageSize === 'object') {
+    const widthMm = Number(pageSize.widthMm);
+    const heightMm = Number(pageSize.heightMm);
+    if (!Number.isFinite(widthMm) || !Number.isFinite(heightMm)) return null;
+    if (widthMm < CUSTOM_PAGE_MIN_MM || widthMm > CUSTOM_PAGE_MAX_MM) return null;
+    if (heightMm < CUSTOM_PAGE_MIN_MM || heightMm > CUSTOM_PAGE_MAX_MM) return null;
+    resolved = { name: 'CUSTOM', width: snap(widthMm * MM_TO_PT), height: snap(heightMm * MM_TO_PT) };
+  } else {
+    return null;
+  }
+
+  if (orientation === null || orientation === undefined) return resolved;
+  if (!PAGE_ORIENTATIONS.includes(orientation)) return null;
+
+  const isLandscape = resolved.width > resolved.height;
+  if ((orientation === 'landscape') !== isLandscape && resolved.width !== resolved.height) {
+    return { ...resolved, width: resolved.height, height: resolved.width };
+  }
+  return resolved;
+};
+
+// Engine-side resolution: missing pageSize means A4, anything unresolvable is a hard error.
+export const resolveLayoutPageSize = (layout) => {
+  const pageSize = layout?.pageSize ?? 'A4';
+  const resolved = resolvePageSize(pageSize, layout?.orientation ?? null);
+  if (!resolved) {
+    throw new Error(`Invalid layout.pageSize: ${JSON.stringify(pageSize)}`);
+  }
+  return resolved;
+};
+
+export const ptToMm = (pt) => (Number(pt) * 25.4) / 72;
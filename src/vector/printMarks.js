@@ -0,0 +1,223 @@
+// Printer's marks for press output (opt-in via layout.printMarks).
+//
+// layout.printMarks = {
+//   cropMarks: true,        // per-slot trim marks (default on when printMarks is present)
+//   bleedMm: 0,             // artwork extended past each slot's trim by this much (0..10)
+//   registration: false,    // registration targets centred in the sheet margins
+//   colorBars: false,       // CMYK solids + black tints in the bottom margin
+//   slug: false,            // job id / sheet / serial range line in the top margin
+//   markOffsetMm: 3,        // gap between trim (or bleed, if larger) and the start of a crop mark
+//   markLengthMm: 5,
+// }
+//
+// Trim is the rendered object of each slot (placement content box). TrimBox / BleedBox on the page
+// are the union of all slot trims, and that union grown by bleedMm.
+import PDFLib from 'pdf-lib';
+import { MM_TO_PT, snap } from './constants.js';
+
+const { cmyk } = PDFLib;
+
+const REGISTRATION = cmyk(1, 1, 1, 1);
+const MARK_LINE_WIDTH_PT = 0.25;
+const TARGET_RADIUS_MM = 2.5;
+const COLOR_BAR_PATCH_MM = 5;
+const SLUG_FONT_SIZE_PT = 6;
+
+const COLOR_BAR_PATCHES = [
+  cmyk(1, 0, 0, 0),
+  cmyk(0, 1, 0, 0),
+  cmyk(0, 0, 1, 0),
+  cmyk(0, 0, 0, 1),
+  cmyk(1, 1, 0, 0),
+  cmyk(1, 0, 1, 0),
+  cmyk(0, 1, 1, 0),
+  cmyk(0, 0, 0, 0.75),
+  cmyk(0, 0, 0, 0.5),
+  cmyk(0, 0, 0, 0.25),
+];
+
+const optionalNumber = (raw, field, min, max, fallback) => {
+  if (raw === undefined || raw === null) return fallback;
+  if (typeof raw !== 'number' || !Number.isFinite(raw) || raw < min || raw > max) {
+    throw new Error(`layout.printMarks.${field} must be a number between ${min} and ${max}`);
+  }
+  return raw;
+};
+
+const optionalBool = (raw, field, fallback) => {
+  if (raw === undefined || raw === null) return fallback;
+  if (typeof raw !== 'boolean') throw new Error(`layout.printMarks.${field} must be a boolean`);
+  return raw;
+};
+
+// null when print marks are off. A bad setting throws with a user-facing message: validation.js adds it to
+// its errors list and the engine fails the render with it, so both report the same text.
+export const resolvePrintMarks = (layout) => {
+  const raw = layout?.printMarks;
+  if (raw === undefined || raw === null || raw === false) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('layout.printMarks must be an object when provided');
+  }
+
+  return {
+    cropMarks: optionalBool(raw.cropMarks, 'cropMarks', true),
+    registration: optionalBool(raw.registration, 'registration', false),
+    colorBars: optionalBool(raw.colorBars, 'colorBars', false),
+    slug: optionalBool(raw.slug, 'slug', false),
+    bleedPt: snap(optionalNumber(raw.bleedMm, 'bleedMm', 0, 10, 0) * MM_TO_PT),
+    markOffsetPt: snap(optionalNumber(raw.markOffsetMm, 'markOffsetMm', 0, 20, 3) * MM_TO_PT),
+    markLengthPt: snap(optionalNumber(raw.markLengthMm, 'markLengthMm', 1, 20, 5) * MM_TO_PT),
+  };
+};
+
+export const trimBoxOf = (placement) => ({
+  x: Number(placement.contentLeft),
+  y: Number(placement.contentBottom),
+  width: Number(placement.contentWidth),
+  height: Number(placement.contentHeight),
+});
+
+const growBox = (box, by) => ({ x: box.x - by, y: box.y - by, width: box.width + 2 * by, height: box.height + 2 * by });
+
+const intersectBoxes = (a, b) => {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const top = Math.min(a.y + a.height, b.y + b.height);
+  return right > x && top > y ? { x, y, width: right - x, height: top - y } : null;
+};
+
+export const unionBox = (boxes) => {
+  const x = Math.min(...boxes.map((b) => b.x));
+  const y = Math.min(...boxes.map((b) => b.y));
+  const right = Math.max(...boxes.map((b) => b.x + b.width));
+  const top = Math.max(...boxes.map((b) => b.y + b.height));
+  return { x, y, width: right - x, height: top - y };
+};
+
+const clampToPage = (box, pageSize) => intersectBoxes(box, { x: 0, y: 0, width: pageSize.width, height: pageSize.height });
+
+const segmentHitsBox = (x1, y1, x2, y2, box) =>
+  Math.max(x1, x2) > box.x &&
+  Math.min(x1, x2) < box.x + box.width &&
+  Math.max(y1, y2) > box.y &&
+  Math.min(y1, y2) < box.y + box.height;
+
+// Per-slot corner marks. A mark is dropped when it would land on another slot's artwork (tight gutters).
+export const drawCropMarks = (page, placements, marks) => {
+  const trims = placements.map(trimBoxOf);
+  const keepOut = trims.map((t) => growBox(t, marks.bleedPt));
+  const gap = Math.max(marks.markOffsetPt, marks.bleedPt);
+  const len = marks.markLengthPt;
+
+  trims.forEach((t, i) => {
+    const left = t.x;
+    const right = t.x + t.width;
+    const bottom = t.y;
+    const top = t.y + t.height;
+    const segments = [
+      [left - gap - len, bottom, left - gap, bottom],
+      [left, bottom - gap - len, left, bottom - gap],
+      [right + gap, bottom, right + gap + len, bottom],
+      [right, bottom - gap - len, right, bottom - gap],
+      [left - gap - len, top, left - gap, top],
+      [left, top + gap, left, top + gap + len],
+      [right + gap, top, right + gap + len, top],
+      [right, top + gap, right, top + gap + len],
+    ];
+
+    for (const [x1, y1, x2, y2] of segments) {
+      if (keepOut.some((box, j) => j !== i && segmentHitsBox(x1, y1, x2, y2, box))) continue;
+      page.drawLine({
+        start: { x: snap(x1), y: snap(y1) },
+        end: { x: snap(x2), y: snap(y2) },
+        thickness: MARK_LINE_WIDTH_PT,
+        color: REGISTRATION,
+      });
+    }
+  });
+};
+
+const drawTarget = (page, cx, cy) => {
+  const r = TARGET_RADIUS_MM * MM_TO_PT;
+  page.drawCircle({ x: snap(cx), y: snap(cy), size: snap(r * 0.6), borderColor: REGISTRATION, borderWidth: MARK_LINE_WIDTH_PT });
+  page.drawLine({ start: { x: snap(cx - r), y: snap(cy) }, end: { x: snap(cx + r), y: snap(cy) }, thickness: MARK_LINE_WIDTH_PT, color: REGISTRATION });
+  page.drawLine({ start: { x: snap(cx), y: snap(cy - r) }, end: { x: snap(cx), y: snap(cy + r) }, thickness: MARK_LINE_WIDTH_PT, color: REGISTRATION });
+};
+
+// Space taken outside the art box by bleed and crop marks; other marks start beyond it.
+const markClearance = (marks) => Math.max(marks.markOffsetPt, marks.bleedPt) + (marks.cropMarks ? marks.markLengthPt : 0);
+
+// Targets sit centred in each sheet margin, clear of the crop marks; a margin too narrow is skipped.
+export const drawRegistrationTargets = (page, artBox, pageSize, marks) => {
+  const r = TARGET_RADIUS_MM * MM_TO_PT;
+  const clear = markClearance(marks);
+  const artRight = artBox.x + artBox.width;
+  const artTop = artBox.y + artBox.height;
+  const midX = artBox.x + artBox.width / 2;
+  const midY = artBox.y + artBox.height / 2;
+
+  // [space available, centre x, centre y] for top, bottom, left, right margins
+  const margins = [
+    [pageSize.height - artTop - clear, midX, (artTop + clear + pageSize.height) / 2],
+    [artBox.y - clear, midX, (artBox.y - clear) / 2],
+    [artBox.x - clear, (artBox.x - clear) / 2, midY],
+    [pageSize.width - artRight - clear, (artRight + clear + pageSize.width) / 2, midY],
+  ];
+
+  for (const [space, cx, cy] of margins) {
+    if (space < 2 * r) continue;
+    drawTarget(page, cx, cy);
+  }
+};
+
+// Bottom-left margin, below the crop marks.
+export const drawColorBars = (page, artBox, marks) => {
+  const size = COLOR_BAR_PATCH_MM * MM_TO_PT;
+  const y = artBox.y - markClearance(marks) - size;
+  if (y < 0) return;
+
+  COLOR_BAR_PATCHES.forEach((color, i) => {
+    page.drawRectangle({ x: snap(artBox.x + i * size), y: snap(y), width: snap(size), height: snap(size), color });
+  });
+};
+
+// Standard fonts are WinAnsi-only. Informational lines such as the slug replace anything outside printable
+// ASCII instead of failing the render.
+export const toWinAnsiSafe = (text) => String(text).replace(/[^\x20-\x7E]/g, '?');
+
+// Top-left margin, above the crop marks.
+export const drawSlugLine = (page, artBox, pageSize, marks, font, text) => {
+  const y = artBox.y + artBox.height + markClearance(marks) + 2;
+  if (y + SLUG_FONT_SIZE_PT > pageSize.height) return;
+
+  page.drawText(toWinAnsiSafe(text), {
+    x: snap(artBox.x),
+    y: snap(y),
+    size: SLUG_FONT_SIZE_PT,
+    font,
+    color: REGISTRATION,
+  });
+};
+
+export const setPageBoxes = (page, artBox, pageSize, marks) => {
+  const trim = clampToPage(artBox, pageSize);
+  if (!trim) return;
+  const bleed = clampToPage(growBox(artBox, marks.bleedPt), pageSize);
+  page.setTrimBox(snap(trim.x), snap(trim.y), snap(trim.width), snap(trim.height));
+  page.setBleedBox(snap(bleed.x), snap(bleed.y), snap(bleed.width), snap(bleed.height));
+};
+
+// Even-odd clip region for a slot's bleed ring: its bleed box, minus its own trim, minus any part of
+// a neighbouring slot's trim that falls inside the bleed box (tight gutters must not overpaint).
+export const bleedRingRects = (placements, index, bleedPt) => {
+  const trims = placements.map(trimBoxOf);
+  const bleedBox = growBox(trims[index], bleedPt);
+  const holes = [trims[index]];
+  trims.forEach((t, j) => {
+    if (j === index) return;
+    const overlap = intersectBoxes(t, bleedBox);
+    if (overlap) holes.push(overlap);
+  });
+  return [bleedBox, ...holes];
+};
@@ -0,0 +1,93 @@
+// Procedural anti-counterfeit patterns (watermark types "guilloche" and "microtext").
+//
+// Both are pure functions of their parameters and a seed, so a job re-renders to identical bytes while
+// two jobs with different seeds get visibly different patterns. The seed defaults to the job id.
+//
+//   guilloche: nested hypotrochoid rosettes stretched over the ticket; the seed picks the rosette
+//              ratios and phase, `lines` sets how many nested curves are drawn.
+//   microtext: a repeated text run along the inside of the ticket border (glyph tops outward),
+//              starting at a seed-dependent character so the run does not line up across jobs.
+
+export const SECURITY_WATERMARK_TYPES = ['guilloche', 'microtext'];
+
+export const GUILLOCHE_MAX_LINES = 64;
+const GUILLOCHE_MAX_POINTS_PER_LINE = 1500;
+
+// FNV-1a over the seed text → mulberry32.
+export const createSeededRandom = (seed) => {
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  let state = h || 1;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+const pickInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+const fmt = (v) => (Math.round(v * 100) / 100).toString();
+
+// SVG path data (y down, origin top-left of a width x height box). One closed rosette per line.
+export const buildGuillochePath = ({ width, height, seed, lines = 16 }) => {
+  const random = createSeededRandom(seed);
+  const bigR = pickInt(random, 5, 13);
+  // A smallR that divides bigR closes the curve after one turn (an ellipse or a few lobes); bigR - 1 always qualifies.
+  const smallRs = [];
+  for (let r = 2; r < bigR; r += 1) {
+    if (gcd(bigR, r) !== r) smallRs.push(r);
+  }
+  const smallR = smallRs[pickInt(random, 0, smallRs.length - 1)];
+  const penRatio = 0.35 + random() * 0.55;
+  const basePhase = random() * Math.PI * 2;
+
+  const diff = bigR - smallR;
+  const pen = penRatio * smallR;
+  const extent = diff + pen;
+  const turns = smallR / gcd(bigR, smallR);
+  const points = Math.min(GUILLOCHE_MAX_POINTS_PER_LINE, 64 * bigR * turns);
+  const tEnd = Math.PI * 2 * turns;
+
+  const cx = width / 2;
+  const cy = height / 2;
+  let d = '';
+
+  for (let k = 0; k < lines; k += 1) {
+    const scale = 0.3 + (0.7 * (k + 1)) / lines;
+    const phase = basePhase + (k * Math.PI * 2) / (lines * bigR);
+    for (let i = 0; i <= points; i += 1) {
+      const t = (tEnd * i) / points;
+      const x = (diff * Math.cos(t) + pen * Math.cos((diff / smallR) * t + phase)) / extent;
+      const y = (diff * Math.sin(t) - pen * Math.sin((diff / smallR) * t + phase)) / extent;
+      d += `${i === 0 ? 'M' : 'L'}${fmt(cx + x * scale * cx)} ${fmt(cy - y * scale * cy)}`;
+    }
+    d += 'Z';
+  }
+  return d;
+};
+
+// Text that fills `length` points when repeated, starting at a seed-dependent character.
+export const buildMicrotextRun = ({ text, length, seed, widthOf }) => {
+  const chars = Array.from(String(text));
+  if (chars.length === 0 || !(length > 0)) return '';
+  let idx = Math.floor(createSeededRandom(seed)() * chars.length);
+  let out = '';
+  let used = 0;
+  for (;;) {
+    const ch = chars[idx % chars.length];
+    const w = widthOf(ch);
+    if (!(w > 0) || used + w > length) break;
+    out += ch;
+    used += w;
+    idx += 1;
+  }
+  return out;
+};
@@ -0,0 +1,200 @@
+// Series value formatting.
+//
+// Without a template the value is `prefix + number` (zero-padded to padLength), exactly as before.
+// With series.format the value is built from a template such as `{prefix}-{yyyy}-{n:06}{check}`:
+//
+//   {prefix}        series.prefix
+//   {n} / {n:06}    series number in its sequence notation; width from the token, otherwise series.padLength
+//   {yyyy} {yy}     year of the series date (UTC)
+//   {mm} {dd}       month / day of the series date (UTC)
+//   {check}         check digit(s) using series.checkDigit
+//   {check:<alg>}   check digit(s) using an explicit algorithm
+//
+// Check digits are computed over the digits rendered before the token (separators and letters are
+// ignored), so `{yyyy}-{n:06}{check}` protects both the year and the number.
+// The series date comes from series.formatDate, falling back to the job creation date, never the
+// wall clock: re-rendering a job must produce identical bytes.
+
+import { resolveSeriesSequence } from './seriesSequence.js';
+
+export const CHECK_DIGIT_ALGORITHMS = ['luhn', 'mod10', 'mod11', 'mod97-10'];
+
+const DATE_TOKENS = ['yyyy', 'yy', 'mm', 'dd'];
+
+const digitsOf = (text) => String(text).replace(/\D/g, '');
+
+const luhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    // Rightmost payload digit is doubled because the check digit will sit to its right.
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// GS1 / EAN style: weights 3,1,3,... from the right.
+const mod10 = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    sum += Number(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Weights 2..7 cycling from the right; remainder 10 is written as "X".
+const mod11 = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    sum += Number(digits[digits.length - 1 - i]) * (2 + (i % 6));
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+// ISO 7064 MOD 97-10: two check digits, computed incrementally so long payloads stay exact.
+const mod97 = (digits) => {
+  let remainder = 0;
+  for (const ch of `${digits}00`) {
+    remainder = (remainder * 10 + Number(ch)) % 97;
+  }
+  return String(98 - remainder).padStart(2, '0');
+};
+
+const CHECK_DIGIT_FNS = {
+  luhn,
+  mod10,
+  mod11,
+  'mod97-10': mod97,
+};
+
+export const computeCheckDigit = (algorithm, payload) => {
+  const fn = CHECK_DIGIT_FNS[algorithm];
+  if (!fn) {
+    throw new Error(`Unsupported check digit algorithm: ${algorithm}`);
+  }
+  const digits = digitsOf(payload);
+  if (!digits) {
+    throw new Error('Check digit requires at least one digit before the {check} token');
+  }
+  return fn(digits);
+};
+
+// Existing padding semantics: values longer than padLength keep their last padLength characters.
+export const padSeriesNumber = (written, padLength, padChar = '0') => {
+  const raw = String(written);
+  const width = Number(padLength || 0);
+  if (!(width > 0) || !padChar) return raw;
+  const padded = raw.padStart(width, padChar);
+  return padded.length > width ? padded.slice(padded.length - width) : padded;
+};
+
+// Parse a template into literal / token parts. Throws on anything it does not understand,
+// so validation and rendering share one definition of "valid".
+export const parseSeriesFormat = (template, { checkDigit = null } = {}) => {
+  if (typeof template !== 'string' || !template) {
+    throw new Error('format must be a non-empty string');
+  }
+
+  const parts = [];
+  const re = /\{([^{}]*)\}|([^{}]+)|([{}])/g;
+  let match;
+  let hasNumber = false;
+  while ((match = re.exec(template)) !== null) {
+    if (match[3]) {
+      throw new Error(`format has an unbalanced "${match[3]}" at position ${match.index}`);
+    }
+    if (match[2] !== undefined) {
+      parts.push({ kind: 'literal', text: match[2] });
+      continue;
+    }
+
+    const [name, arg, ...rest] = match[1].split(':');
+    if (rest.length > 0) {
+      throw new Error(`format token {${match[1]}} is invalid`);
+    }
+
+    if (name === 'prefix' && arg === undefined) {
+      parts.push({ kind: 'prefix' });
+    } else if (name === 'n') {
+      let width = null;
+      if (arg !== undefined) {
+        if (!/^\d{1,2}$/.test(arg) || Number(arg) < 1) {
+          throw new Error(`format token {${match[1]}} must use a width between 1 and 99`);
+        }
+        width = Number(arg);
+      }
+      parts.push({ kind: 'number', width });
+      hasNumber = true;
+    } else if (DATE_TOKENS.includes(name) && arg === undefined) {
+      parts.push({ kind: 'date', field: name });
+    } else if (name === 'check') {
+      const algorithm = arg === undefined ? checkDigit : arg;
+      if (!algorithm) {
+        throw new Error('format token {check} requires series.checkDigit or an explicit {check:<algorithm>}');
+      }
+      if (!CHECK_DIGIT_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`format token {${match[1]}} uses unknown algorithm; expected one of: ${CHECK_DIGIT_ALGORITHMS.join(', ')}`);
+      }
+      parts.push({ kind: 'check', algorithm });
+    } else {
+      throw new Error(`format token {${match[1]}} is not supported`);
+    }
+  }
+
+  if (!hasNumber) {
+    throw new Error('format must contain an {n} token');
+  }
+  return parts;
+};
+
+export const seriesFormatUsesDate = (parts) => parts.some((p) => p.kind === 'date');
+
+const resolveSeriesDate = (seriesConfig, fallbackDate) => {
+  const raw = seriesConfig?.formatDate ?? fallbackDate ?? null;
+  const date = raw instanceof Date ? raw : (raw ? new Date(raw) : null);
+  if (!date || Number.isNaN(date.getTime())) return null;
+  return date;
+};
+
+const dateField = (date, field) => {
+  if (field === 'yyyy') return String(date.getUTCFullYear()).padStart(4, '0');
+  if (field === 'yy') return String(date.getUTCFullYear() % 100).padStart(2, '0');
+  if (field === 'mm') return String(date.getUTCMonth() + 1).padStart(2, '0');
+  return String(date.getUTCDate()).padStart(2, '0');
+};
+
+// Returns (seriesNumber) => display value. Compile once per series, call once per slot.
+// seriesNumber is the sequence ordinal; the sequence kind decides how it is written.
+export const createSeriesFormatter = (seriesConfig, { fallbackDate = null } = {}) => {
+  const prefix = typeof seriesConfig?.prefix === 'string' ? seriesConfig.prefix : '';
+  const padLength = Number(seriesConfig?.padLength || 0);
+  const sequence = resolveSeriesSequence(seriesConfig);
+  const writeNumber = (seriesNumber, width) => padSeriesNumber(sequence.format(seriesNumber), width, sequence.padChar);
+
+  if (seriesConfig?.format === undefined || seriesConfig?.format === null) {
+    return (seriesNumber) => `${prefix}${writeNumber(seriesNumber, padLength)}`;
+  }
+
+  const parts = parseSeriesFormat(seriesConfig.format, { checkDigit: seriesConfig.checkDigit ?? null });
+  const date = seriesFormatUsesDate(parts) ? resolveSeriesDate(seriesConfig, fallbackDate) : null;
+  if (seriesFormatUsesDate(parts) && !date) {
+    throw new Error('series.format uses a date token but no series.formatDate or job date is available');
+  }
+
+  return (seriesNumber) => {
+    let out = '';
+    for (const part of parts) {
+      if (part.kind === 'literal') out += part.text;
+      else if (part.kind === 'prefix') out += prefix;
+      else if (part.kind === 'number') out += writeNumber(seriesNumber, part.width ?? padLength);
+      else if (part.kind === 'date') out += dateField(date, part.field);
+      else out += computeCheckDigit(part.algorithm, out);
+    }
+    return out;
+  };
+};
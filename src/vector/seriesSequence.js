@@ -0,0 +1,164 @@
+// Series sequence kinds.
+//
+// The engine always works with a non-negative integer ordinal (start + index * step); the sequence
+// decides how an ordinal is written and how far it can go:
+//
+//   decimal       1, 2, 3, ...                           (default, historical behaviour)
+//   alpha-prefix  AA0001 ... AA9999, AB0001, ...         { letters, digits, alphabet?, skipZero? }
+//   base-n        0..9A..Z or any custom alphabet         { alphabet?, width? }
+//
+// For non-decimal kinds series values (start, end, lists) may be given as written values ("AB0500", "00ZZ");
+// it is converted back to its ordinal so step / numbering orders keep working unchanged.
+
+export const SEQUENCE_KINDS = ['decimal', 'alpha-prefix', 'base-n'];
+
+const DEFAULT_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DEFAULT_BASE_N_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const assertAlphabet = (alphabet, field) => {
+  if (typeof alphabet !== 'string' || alphabet.length < 2) {
+    throw new Error(`${field} must be a string of at least 2 characters`);
+  }
+  if (new Set(alphabet).size !== alphabet.length) {
+    throw new Error(`${field} must not repeat characters`);
+  }
+  if (/[{}:]/.test(alphabet)) {
+    throw new Error(`${field} must not contain "{", "}" or ":"`);
+  }
+};
+
+const assertIntegerIn = (value, min, max, field) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${field} must be an integer between ${min} and ${max}`);
+  }
+};
+
+// Fixed-width positional encoding; returns null when value does not fit.
+const encodePositional = (value, alphabet, width) => {
+  const base = alphabet.length;
+  let rest = value;
+  let out = '';
+  do {
+    out = alphabet[rest % base] + out;
+    rest = Math.floor(rest / base);
+  } while (rest > 0);
+  if (width && out.length > width) return null;
+  return width ? out.padStart(width, alphabet[0]) : out;
+};
+
+const decodePositional = (text, alphabet) => {
+  let value = 0;
+  for (const ch of text) {
+    const digit = alphabet.indexOf(ch);
+    if (digit < 0) return null;
+    value = value * alphabet.length + digit;
+  }
+  return Number.isSafeInteger(value) ? value : null;
+};
+
+const decimalSequence = () => ({
+  kind: 'decimal',
+  capacity: Infinity,
+  padChar: '0',
+  format: (ordinal) => String(ordinal),
+  parse: () => null,
+});
+
+const alphaPrefixSequence = (config) => {
+  const letters = config.letters ?? 2;
+  const digits = config.digits ?? 4;
+  const alphabet = config.alphabet ?? DEFAULT_LETTERS;
+  const skipZero = config.skipZero !== false;
+  assertIntegerIn(letters, 1, 6, 'sequence.letters');
+  assertIntegerIn(digits, 1, 9, 'sequence.digits');
+  assertAlphabet(alphabet, 'sequence.alphabet');
+  if (/\d/.test(alphabet)) {
+    throw new Error('sequence.alphabet must not contain digits for alpha-prefix sequences');
+  }
+
+  // skipZero (default): each block runs 0001..9999, never 0000.
+  const firstNumber = skipZero ? 1 : 0;
+  const perBlock = 10 ** digits - firstNumber;
+  const blocks = alphabet.length ** letters;
+
+  return {
+    kind: 'alpha-prefix',
+    capacity: blocks * perBlock,
+    padChar: null, // already fixed width
+    format: (ordinal) => {
+      const block = Math.floor(ordinal / perBlock);
+      const number = (ordinal % perBlock) + firstNumber;
+      const head = encodePositional(block, alphabet, letters);
+      if (head === null) {
+        throw new Error(`Series ordinal ${ordinal} exceeds alpha-prefix capacity`);
+      }
+      return `${head}${String(number).padStart(digits, '0')}`;
+    },
+    parse: (text) => {
+      if (typeof text !== 'string' || text.length !== letters + digits) return null;
+      const block = decodePositional(text.slice(0, letters), alphabet);
+      const numberPart = text.slice(letters);
+      if (block === null || !/^\d+$/.test(numberPart)) return null;
+      const number = Number(numberPart);
+      if (number < firstNumber) return null;
+      return block * perBlock + (number - firstNumber);
+    },
+  };
+};
+
+const baseNSequence = (config) => {
+  const alphabet = config.alphabet ?? DEFAULT_BASE_N_ALPHABET;
+  const width = config.width ?? null;
+  assertAlphabet(alphabet, 'sequence.alphabet');
+  if (width !== null) assertIntegerIn(width, 1, 32, 'sequence.width');
+
+  const capacity = width !== null ? alphabet.length ** width : Infinity;
+  return {
+    kind: 'base-n',
+    capacity,
+    padChar: alphabet[0],
+    format: (ordinal) => {
+      const out = encodePositional(ordinal, alphabet, width);
+      if (out === null) {
+        throw new Error(`Series ordinal ${ordinal} exceeds base-n width ${width}`);
+      }
+      return out;
+    },
+    parse: (text) => (typeof text === 'string' && text ? decodePositional(text, alphabet) : null),
+  };
+};
+
+// Throws on invalid configuration; validation and the engine share this.
+export const resolveSeriesSequence = (seriesConfig) => {
+  const config = seriesConfig?.sequence ?? null;
+  if (config === null) return decimalSequence();
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('sequence must be an object when provided');
+  }
+
+  const kind = config.kind ?? 'decimal';
+  if (kind === 'decimal') return decimalSequence();
+  if (kind === 'alpha-prefix') return alphaPrefixSequence(config);
+  if (kind === 'base-n') return baseNSequence(config);
+  throw new Error(`sequence.kind must be one of: ${SEQUENCE_KINDS.join(', ')}`);
+};
+
+// Ordinal of a series value (start, end, list entries, exclusions). Numeric values are used as-is
+// (decimal keeps its historical meaning); string values are parsed with the sequence's own notation.
+export const resolveSequenceValue = (sequence, value, field = 'start') => {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`${field} must be a finite number`);
+    if (sequence.kind !== 'decimal' && (!Number.isInteger(value) || value < 0)) {
+      throw new Error(`${field} must be a non-negative integer ordinal or a ${sequence.kind} value`);
+    }
+    return value;
+  }
+  if (sequence.kind === 'decimal') {
+    throw new Error(`${field} must be a number for decimal sequences`);
+  }
+  const ordinal = sequence.parse(value);
+  if (ordinal === null) {
+    throw new Error(`${field} ${JSON.stringify(value)} is not a valid ${sequence.kind} value`);
+  }
+  return ordinal;
+};
@@ -0,0 +1,162 @@
+// Which sequence ordinal the i-th numbered item gets.
+//
+// progression (default): start, start + step, ... optionally bounded by series.end (inclusive)
+//                        and with series.exclude removing voided values / ranges.
+// explicit list        : series.values, e.g. [1042, 1107, [2200, 2210]], used in the given order.
+//
+// Entries are single values or inclusive ranges written as [from, to] or { from, to }; values may use
+// the sequence notation ("AB0500"). Lookups stay O(#ranges), never O(#items), so a 100k-sheet job
+// costs the same as a 10-sheet one.
+import { resolveSeriesSequence, resolveSequenceValue } from './seriesSequence.js';
+import { slotsPerSheet } from './sheetFit.js';
+
+export const MAX_SERIES_LIST_ENTRIES = 10000;
+
+// Normalise list entries to inclusive ordinal ranges, preserving order.
+export const parseSeriesRanges = (entries, sequence, field) => {
+  if (!Array.isArray(entries)) {
+    throw new Error(`${field} must be an array`);
+  }
+  if (entries.length > MAX_SERIES_LIST_ENTRIES) {
+    throw new Error(`${field} must have at most ${MAX_SERIES_LIST_ENTRIES} entries`);
+  }
+
+  return entries.map((entry, i) => {
+    const path = `${field}[${i}]`;
+    let from;
+    let to;
+    if (Array.isArray(entry)) {
+      if (entry.length !== 2) throw new Error(`${path} range must be [from, to]`);
+      from = resolveSequenceValue(sequence, entry[0], `${path}[0]`);
+      to = resolveSequenceValue(sequence, entry[1], `${path}[1]`);
+    } else if (entry && typeof entry === 'object') {
+      from = resolveSequenceValue(sequence, entry.from, `${path}.from`);
+      to = resolveSequenceValue(sequence, entry.to, `${path}.to`);
+    } else {
+      from = resolveSequenceValue(sequence, entry, path);
+      to = from;
+    }
+    if (to < from) throw new Error(`${path} range end must be >= start`);
+    return { from, to };
+  });
+};
+
+const explicitListSource = (seriesConfig, sequence) => {
+  const ranges = parseSeriesRanges(seriesConfig.values, sequence, 'values');
+  if (ranges.length === 0) throw new Error('values must not be empty');
+
+  // offsets[i] = number of items before ranges[i]
+  const offsets = [];
+  let count = 0;
+  let maxOrdinal = -Infinity;
+  for (const r of ranges) {
+    offsets.push(count);
+    count += r.to - r.from + 1;
+    maxOrdinal = Math.max(maxOrdinal, r.to);
+  }
+
+  return {
+    kind: 'list',
+    count,
+    valueAt: (i) => {
+      if (!(i >= 0 && i < count)) return null;
+      let lo = 0;
+      let hi = ranges.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (offsets[mid] <= i) lo = mid;
+        else hi = mid - 1;
+      }
+      return ranges[lo].from + (i - offsets[lo]);
+    },
+    maxOrdinal: () => maxOrdinal,
+  };
+};
+
+const progressionSource = (seriesConfig, sequence) => {
+  const start = resolveSequenceValue(sequence, seriesConfig.start, 'start');
+  const step = seriesConfig.step;
+  const hasEnd = seriesConfig.end !== undefined && seriesConfig.end !== null;
+  const end = hasEnd ? resolveSequenceValue(sequence, seriesConfig.end, 'end') : null;
+  if (hasEnd && end < start) throw new Error('end must be >= start');
+
+  // Exclusions become sorted, merged ranges of progression steps k (value = start + k * step).
+  const skipped = [];
+  if (seriesConfig.exclude !== undefined && seriesConfig.exclude !== null) {
+    for (const r of parseSeriesRanges(seriesConfig.exclude, sequence, 'exclude')) {
+      const kFrom = Math.max(0, Math.ceil((r.from - start) / step));
+      const kTo = Math.floor((r.to - start) / step);
+      if (kFrom <= kTo) skipped.push({ kFrom, kTo });
+    }
+    skipped.sort((a, b) => a.kFrom - b.kFrom);
+    for (let i = skipped.length - 1; i > 0; i -= 1) {
+      if (skipped[i].kFrom <= skipped[i - 1].kTo + 1) {
+        skipped[i - 1].kTo = Math.max(skipped[i - 1].kTo, skipped[i].kTo);
+        skipped.splice(i, 1);
+      }
+    }
+  }
+
+  const stepAt = (i) => {
+    let k = i;
+    for (const s of skipped) {
+      if (s.kFrom > k) break;
+      k += s.kTo - s.kFrom + 1;
+    }
+    return k;
+  };
+
+  let count = Infinity;
+  if (hasEnd) {
+    const lastK = Math.floor((end - start) / step);
+    const skippedInRange = skipped.reduce(
+      (acc, s) => acc + Math.max(0, Math.min(s.kTo, lastK) - s.kFrom + 1),
+      0
+    );
+    count = lastK + 1 - skippedInRange;
+  }
+
+  const valueAt = (i) => {
+    if (!(i >= 0 && i < count)) return null;
+    return skipped.length === 0 ? start + (i * step) : start + (stepAt(i) * step);
+  };
+
+  return {
+    kind: 'progression',
+    count,
+    valueAt,
+    // Progressions are increasing, so the largest value used by n items is the n-th one.
+    maxOrdinal: (itemsUsed) => valueAt(Math.min(count, Math.max(1, itemsUsed)) - 1),
+  };
+};
+
+// Throws on invalid configuration; validation, enqueue checks and the engine share this.
+export const createSeriesValueSource = (seriesConfig, sequence = resolveSeriesSequence(seriesConfig)) => {
+  if (seriesConfig?.values !== undefined && seriesConfig?.values !== null) {
+    if (seriesConfig.exclude !== undefined && seriesConfig.exclude !== null) {
+      throw new Error('exclude cannot be combined with an explicit values list');
+    }
+    return explicitListSource(seriesConfig, sequence);
+  }
+  return progressionSource(seriesConfig, sequence);
+};
+
+export const seriesHasFiniteCount = (seriesConfig) =>
+  (seriesConfig?.values !== undefined && seriesConfig?.values !== null) ||
+  (seriesConfig?.end !== undefined && seriesConfig?.end !== null);
+
+// layout.totalPages when given; otherwise enough sheets for the longest bounded series
+// (explicit list or start..end). Returns null when neither is available.
+export const resolveLayoutTotalPages = (metadata) => {
+  const layout = metadata?.layout || {};
+  if (layout.totalPages !== undefined && layout.totalPages !== null) {
+    return Number(layout.totalPages);
+  }
+
+  const series = Array.isArray(metadata?.series) ? metadata.series.filter(seriesHasFiniteCount) : [];
+  if (series.length === 0) return null;
+
+  const repeatPerPage = slotsPerSheet(layout);
+  const maxCount = Math.max(...series.map((s) => createSeriesValueSource(s).count));
+  return Math.max(1, Math.ceil(maxCount / repeatPerPage));
+};
@@ -0,0 +1,140 @@
+// Automatic slots-per-sheet (layout.repeatPerPage: 'auto').
+//
+// Needs the physical ticket size (ticketCrop.widthMm / heightMm, i.e. mm placement). Tickets start at
+// ticketCrop.xMm / yMm (default: the left / top sheet margin, see pageMargins.js), keep the right and
+// bottom margins free and are spaced by ticketCrop.cutMarginMm, the mm-mode gutter.
+//
+// Both orientations are tried unless layout.slotRotation pins one; the quarter-turned fit is used only
+// when it places strictly more tickets. The resolved layout carries a numeric repeatPerPage, columns,
+// rows and (for a quarter-turned fit) slotRotation: 90, so everything downstream sees a plain layout.
+import { resolveLayoutPageSize, ptToMm } from './pageSize.js';
+import { resolvePageMargins, DEFAULT_MARGINS } from './pageMargins.js';
+import { isQuarterTurn } from './slotRotation.js';
+
+export const AUTO_REPEAT_PER_PAGE = 'auto';
+export const MAX_SLOTS_PER_SHEET = 16;
+
+// Rounding in mm → pt → mm must not cost a whole row.
+const FIT_EPSILON_MM = 1e-6;
+
+const countAlong = (availableMm, sizeMm, gapMm) => {
+  if (!(availableMm + FIT_EPSILON_MM >= sizeMm)) return 0;
+  return Math.floor((availableMm - sizeMm + FIT_EPSILON_MM) / (sizeMm + gapMm)) + 1;
+};
+
+const gridFor = (availableWidthMm, availableHeightMm, widthMm, heightMm, gapMm) => {
+  const columns = countAlong(availableWidthMm, widthMm, gapMm);
+  const rows = countAlong(availableHeightMm, heightMm, gapMm);
+  const fits = columns * rows;
+  if (fits <= MAX_SLOTS_PER_SHEET) return { columns, rows, count: fits };
+  // More fits than the engine places per sheet: fill whole rows first, fewest rows possible.
+  const cappedColumns = Math.min(columns, MAX_SLOTS_PER_SHEET);
+  return { columns: cappedColumns, rows: Math.ceil(MAX_SLOTS_PER_SHEET / cappedColumns), count: MAX_SLOTS_PER_SHEET };
+};
+
+// Pure calculation; sizes in mm, pageSize and margins in points. Returns both orientations and the chosen one.
+export const computeSheetFit = ({
+  pageSize,
+  margins = DEFAULT_MARGINS,
+  objectWidthMm,
+  objectHeightMm,
+  startXmm = null,
+  startYmm = null,
+  gapMm = 0,
+  allowRotation = true,
+  rotated: forceRotated = false,
+}) => {
+  const left = startXmm ?? ptToMm(margins.left);
+  const top = startYmm ?? ptToMm(margins.top);
+  const availableWidthMm = ptToMm(pageSize.width) - ptToMm(margins.right) - left;
+  const availableHeightMm = ptToMm(pageSize.height) - ptToMm(margins.bottom) - top;
+
+  const upright = gridFor(availableWidthMm, availableHeightMm, objectWidthMm, objectHeightMm, gapMm);
+  const turned = gridFor(availableWidthMm, availableHeightMm, objectHeightMm, objectWidthMm, gapMm);
+
+  const rotated = forceRotated || (allowRotation && turned.count > upright.count);
+  const chosen = rotated ? turned : upright;
+
+  return {
+    repeatPerPage: chosen.count,
+    columns: chosen.columns,
+    rows: chosen.rows,
+    rotated,
+    startXmm: left,
+    startYmm: top,
+    upright,
+    quarterTurned: turned,
+  };
+};
+
+export const isAutoRepeatPerPage = (layout) => layout?.repeatPerPage === AUTO_REPEAT_PER_PAGE;
+
+// Slots the engine places per sheet: repeatPerPage (default 4) clamped to 1..16. Resolve 'auto' first.
+export const slotsPerSheet = (layout) => Math.max(1, Math.min(MAX_SLOTS_PER_SHEET, Number(layout?.repeatPerPage || 4)));
+
+// Best fit for the metadata's ticket and sheet (also used by the dry-run endpoint); throws when the
+// ticket has no physical size or does not fit at all.
+export const resolveSheetFit = (metadata) => {
+  const { ticketCrop, layout } = metadata || {};
+
+  const widthMm = Number(ticketCrop?.widthMm);
+  const heightMm = Number(ticketCrop?.heightMm);
+  if (!(widthMm > 0) || !(heightMm > 0)) {
+    throw new Error('Automatic fit needs ticketCrop.widthMm and ticketCrop.heightMm');
+  }
+  if (ticketCrop.rotationDeg) {
+    throw new Error('Automatic fit cannot be combined with ticketCrop.rotationDeg');
+  }
+
+  const pinned = Array.isArray(layout?.slotRotation) ? null : layout?.slotRotation;
+  const pageSize = resolveLayoutPageSize(layout);
+  const fit = computeSheetFit({
+    pageSize,
+    margins: resolvePageMargins(layout, pageSize),
+    objectWidthMm: widthMm,
+    objectHeightMm: heightMm,
+    startXmm: typeof ticketCrop.xMm === 'number' ? ticketCrop.xMm : null,
+    startYmm: typeof ticketCrop.yMm === 'number' ? ticketCrop.yMm : null,
+    gapMm: typeof ticketCrop.cutMarginMm === 'number' ? ticketCrop.cutMarginMm : 0,
+    allowRotation: pinned === undefined || pinned === null,
+    rotated: isQuarterTurn(pinned),
+  });
+
+  if (fit.repeatPerPage < 1) {
+    throw new Error('Ticket does not fit on the sheet inside the sheet margins');
+  }
+  return fit;
+};
+
+// Metadata with 'auto' replaced by the fitted layout; anything else is returned as is.
+export const resolveAutoSlots = (metadata) => {
+  if (!isAutoRepeatPerPage(metadata?.layout)) return metadata;
+
+  const { layout: rawLayout } = metadata;
+  if (rawLayout.columns !== undefined || rawLayout.rows !== undefined) {
+    throw new Error("layout.repeatPerPage 'auto' chooses columns and rows; remove layout.columns / layout.rows");
+  }
+  if (Array.isArray(rawLayout.slotRotation)) {
+    throw new Error("layout.repeatPerPage 'auto' needs a single layout.slotRotation, not one per slot");
+  }
+  if (rawLayout.slotDesigns !== undefined && rawLayout.slotDesigns !== null) {
+    throw new Error("layout.repeatPerPage 'auto' cannot be combined with layout.slotDesigns; use designRanges");
+  }
+
+  const fit = resolveSheetFit(metadata);
+  const layout = {
+    ...metadata.layout,
+    repeatPerPage: fit.repeatPerPage,
+    columns: fit.columns,
+    rows: fit.rows,
+  };
+  if (fit.rotated && (layout.slotRotation === undefined || layout.slotRotation === null)) {
+    layout.slotRotation = 90;
+  }
+
+  return {
+    ...metadata,
+    ticketCrop: { ...metadata.ticketCrop, xMm: fit.startXmm, yMm: fit.startYmm },
+    layout,
+  };
+};
@@ -0,0 +1,119 @@
+// Rotated and nested slots on the imposed sheet (opt-in via layout.slotRotation / layout.nesting).
+//
+// layout.slotRotation = 90              // every slot: 0 | 90 | 180 | 270, counter-clockwise
+// layout.slotRotation = [0, 180, ...]   // or one entry per slot (repeatPerPage entries)
+// layout.nesting = 'rows'               // 'none' | 'rows' | 'columns' | 'checker': add 180° to every
+//                                       // other row / column / cell so shaped tickets nest head-to-tail
+//
+// A rotated slot is fitted with the object's rotated footprint. The placement's content box is that
+// footprint (crop marks, bleed ring, page boxes and duplex mirroring work on it unchanged) and the
+// placement carries `rotation`. Object-relative drawing (series, fields, watermarks) happens inside an
+// object frame that maps the upright object onto the footprint, so slot ratios stay object-relative.
+//
+// mm placement steps every object by the same footprint, so there all slots must be either upright /
+// 180° or quarter-turned (nesting is fine); ticketCrop.rotationDeg cannot be combined with it.
+import { snap } from './constants.js';
+
+export const SLOT_ROTATIONS = [0, 90, 180, 270];
+export const NESTING_MODES = ['none', 'rows', 'columns', 'checker'];
+
+// [cos, sin] of each quarter turn.
+const TURNS = { 0: [1, 0], 90: [0, 1], 180: [-1, 0], 270: [0, -1] };
+
+const assertRotation = (value, path) => {
+  if (!SLOT_ROTATIONS.includes(value)) {
+    throw new Error(`${path} must be one of: ${SLOT_ROTATIONS.join(', ')}`);
+  }
+};
+
+// null when every slot is upright without nesting, else the shared or per-slot rotation and the nesting mode.
+export const resolveSlotRotation = (layout, repeatPerPage) => {
+  const raw = layout?.slotRotation ?? 0;
+  const nesting = layout?.nesting ?? 'none';
+
+  if (!NESTING_MODES.includes(nesting)) {
+    throw new Error(`layout.nesting must be one of: ${NESTING_MODES.join(', ')}`);
+  }
+
+  let perSlot = null;
+  if (Array.isArray(raw)) {
+    if (raw.length !== Number(repeatPerPage)) {
+      throw new Error('layout.slotRotation must have one entry per slot (layout.repeatPerPage)');
+    }
+    raw.forEach((value, i) => assertRotation(value, `layout.slotRotation[${i}]`));
+    perSlot = raw;
+  } else {
+    assertRotation(raw, 'layout.slotRotation');
+  }
+
+  const anyTurned = perSlot ? perSlot.some((value) => value !== 0) : raw !== 0;
+  if (!anyTurned && nesting === 'none') return null;
+
+  return { uniform: perSlot ? 0 : raw, perSlot, nesting };
+};
+
+export const slotRotationAt = (config, { index, row, column }) => {
+  const base = config.perSlot ? config.perSlot[index] : config.uniform;
+  const flipped =
+    (config.nesting === 'rows' && row % 2 === 1) ||
+    (config.nesting === 'columns' && column % 2 === 1) ||
+    (config.nesting === 'checker' && (row + column) % 2 === 1);
+  return flipped ? (base + 180) % 360 : base;
+};
+
+export const isQuarterTurn = (rotation) => rotation === 90 || rotation === 270;
+
+// True when every slot has the same footprint orientation (nesting only ever adds 180°).
+export const hasUniformFootprint = (config) => {
+  if (!config?.perSlot) return true;
+  const quarter = isQuarterTurn(config.perSlot[0]);
+  return config.perSlot.every((value) => isQuarterTurn(value) === quarter);
+};
+
+// The unrotated object anchored at the footprint's bottom-left corner; object-relative math runs on it.
+// In mm placement objectMm (top-down) is re-anchored the same way.
+export const uprightPlacement = (placement) => {
+  if (!placement?.rotation) return placement;
+  const quarter = isQuarterTurn(placement.rotation);
+  const upright = {
+    ...placement,
+    rotation: 0,
+    contentWidth: quarter ? placement.contentHeight : placement.contentWidth,
+    contentHeight: quarter ? placement.contentWidth : placement.contentHeight,
+  };
+  if (quarter && placement.objectMm) {
+    const { xMm, yMm, widthMm, heightMm } = placement.objectMm;
+    upright.objectMm = { xMm, yMm: yMm + heightMm - widthMm, widthMm: heightMm, heightMm: widthMm };
+  }
+  return upright;
+};
+
+// cm operands mapping uprightPlacement(placement) onto the rotated footprint. Content inside the frame
+// is calibrated as usual; the matrix compensates so the calibration offset stays sheet-relative.
+export const objectFrameMatrix = (placement, calibration = { dx: 0, dy: 0 }) => {
+  const [cos, sin] = TURNS[placement.rotation];
+  const left = Number(placement.contentLeft);
+  const bottom = Number(placement.contentBottom);
+  const { contentWidth: width, contentHeight: height } = uprightPlacement(placement);
+
+  // Footprint corner the upright object's bottom-left lands on.
+  const corner = {
+    90: [left + height, bottom],
+    180: [left + width, bottom + height],
+    270: [left, bottom + width],
+  }[placement.rotation];
+
+  const dx = Number(calibration?.dx || 0);
+  const dy = Number(calibration?.dy || 0);
+  const anchorX = left + dx;
+  const anchorY = bottom + dy;
+
+  return [
+    cos,
+    sin,
+    -sin,
+    cos,
+    snap(corner[0] + dx - (cos * anchorX - sin * anchorY)),
+    snap(corner[1] + dy - (sin * anchorX + cos * anchorY)),
+  ];
+};
@@ -0,0 +1,119 @@
+// Assembles one PDF from page groups without holding the whole document in memory.
+//
+// Each group is a complete PDF (e.g. one createPage page range). Its pages are copied into a scratch
+// context whose object numbers continue after everything already written, serialised straight to
+// `write`, and dropped; only xref offsets and page references are kept. The page tree and catalog are
+// written last, so the output is a plain PDF 1.7 with a classic xref table and no object streams.
+import PDFLib from 'pdf-lib';
+
+const {
+  PDFDocument,
+  PDFContext,
+  PDFObjectCopier,
+  PDFName,
+  PDFRef,
+  PDFHeader,
+  PDFCrossRefSection,
+  PDFTrailer,
+  PDFTrailerDict,
+} = PDFLib;
+
+const bytesOf = (object) => {
+  const buffer = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(buffer, 0);
+  return buffer;
+};
+
+// write(Uint8Array) may be async; it is awaited, so a slow sink applies backpressure.
+export const createStreamingPdfWriter = (write) => {
+  // Reserved up front: pages point at their parent before the page tree exists.
+  const pagesRef = PDFRef.of(1);
+  const catalogRef = PDFRef.of(2);
+
+  const offsets = [];
+  const pageRefs = [];
+  let nextObjectNumber = 3;
+  let offset = 0;
+  let started = false;
+  let finished = false;
+
+  const emit = async (bytes) => {
+    await write(bytes);
+    offset += bytes.length;
+  };
+
+  const emitObject = async (ref, object) => {
+    offsets[ref.objectNumber] = offset;
+    await emit(Buffer.concat([
+      Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`),
+      bytesOf(object),
+      Buffer.from('\nendobj\n\n'),
+    ]));
+  };
+
+  const begin = async () => {
+    if (started) return;
+    started = true;
+    await emit(Buffer.concat([bytesOf(PDFHeader.forVersion(1, 7)), Buffer.from('\n\n')]));
+  };
+
+  // Appends every page of one group (PDF bytes) in order.
+  const appendPdf = async (pdfBytes) => {
+    if (finished) {
+      throw new Error('Streaming PDF writer is already finished');
+    }
+    await begin();
+
+    const source = await PDFDocument.load(pdfBytes);
+    const context = PDFContext.create();
+    context.largestObjectNumber = nextObjectNumber - 1;
+
+    const copier = PDFObjectCopier.for(source.context, context);
+    for (const page of source.getPages()) {
+      const node = copier.copy(page.node);
+      node.set(PDFName.of('Parent'), pagesRef);
+      pageRefs.push(context.register(node));
+    }
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      await emitObject(ref, object);
+    }
+    nextObjectNumber = context.largestObjectNumber + 1;
+  };
+
+  // Writes page tree, catalog, xref and trailer. Returns { pageCount, size } of the finished file.
+  const finish = async () => {
+    if (finished) {
+      throw new Error('Streaming PDF writer is already finished');
+    }
+    if (pageRefs.length === 0) {
+      throw new Error('Streaming PDF writer has no pages');
+    }
+    finished = true;
+
+    const context = PDFContext.create();
+    await emitObject(pagesRef, context.obj({ Type: 'Pages', Kids: pageRefs, Count: pageRefs.length }));
+    await emitObject(catalogRef, context.obj({ Type: 'Catalog', Pages: pagesRef }));
+
+    const xref = PDFCrossRefSection.create();
+    for (let objectNumber = 1; objectNumber < offsets.length; objectNumber += 1) {
+      if (offsets[objectNumber] !== undefined) {
+        xref.addEntry(PDFRef.of(objectNumber), offsets[objectNumber]);
+      }
+    }
+
+    const xrefOffset = offset;
+    const trailerDict = PDFTrailerDict.of(context.obj({ Size: nextObjectNumber, Root: catalogRef }));
+    await emit(Buffer.concat([
+      bytesOf(xref),
+      Buffer.from('\n'),
+      bytesOf(trailerDict),
+      Buffer.from('\n\n'),
+      bytesOf(PDFTrailer.forLastCrossRefSectionOffset(xrefOffset)),
+    ]));
+
+    return { pageCount: pageRefs.length, size: offset };
+  };
+
+  return { appendPdf, finish };
+};
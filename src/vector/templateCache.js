@@ -0,0 +1,136 @@
+// Parsed template PDFs shared across jobs: a bounded LRU keyed by S3 key + ETag.
+//
+// A worker alternating between documents keeps each template parsed instead of downloading and parsing
+// it for every job. An entry is reused only while the object's ETag is unchanged, so a re-uploaded
+// template is picked up by the next load. Memory is bounded by entry count and by the summed size of the
+// source PDFs; a template over the byte budget is parsed but not kept, and neither is an object without an
+// ETag. A parsed document takes several times its source size in memory, so the default budget of 64 MB
+// of source bytes stands for a few hundred MB of heap.
+//
+// A job loads the same templates for every sheet, so an ETag is trusted for a short window after it was
+// fetched (revalidateMs) instead of costing an S3 HEAD per page; the next job after the window re-checks.
+//
+// VECTOR_TEMPLATE_CACHE_MAX_ENTRIES / VECTOR_TEMPLATE_CACHE_MAX_MB / VECTOR_TEMPLATE_CACHE_REVALIDATE_MS
+// override the default limits.
+export const DEFAULT_TEMPLATE_CACHE_MAX_ENTRIES = 16;
+export const DEFAULT_TEMPLATE_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+export const DEFAULT_TEMPLATE_CACHE_REVALIDATE_MS = 30 * 1000;
+
+const positiveNumberFromEnv = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// read() → { pdf, size } is only called on a miss; concurrent misses for the same version share one read.
+export const createTemplateCache = ({
+  maxEntries = Math.floor(positiveNumberFromEnv('VECTOR_TEMPLATE_CACHE_MAX_ENTRIES', DEFAULT_TEMPLATE_CACHE_MAX_ENTRIES)),
+  maxBytes = positiveNumberFromEnv('VECTOR_TEMPLATE_CACHE_MAX_MB', DEFAULT_TEMPLATE_CACHE_MAX_BYTES / (1024 * 1024)) * 1024 * 1024,
+  revalidateMs = positiveNumberFromEnv('VECTOR_TEMPLATE_CACHE_REVALIDATE_MS', DEFAULT_TEMPLATE_CACHE_REVALIDATE_MS),
+  now = Date.now,
+} = {}) => {
+  // Map iteration order is the LRU order: the first entry is the least recently used.
+  const entries = new Map();
+  const pending = new Map();
+  // key → { etag, checkedAt } from the last HEAD, and the HEADs in flight.
+  const etags = new Map();
+  const pendingHeads = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0, uncached: 0, heads: 0 };
+  let totalBytes = 0;
+
+  const remove = (id) => {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entries.delete(id);
+    totalBytes -= entry.size;
+  };
+
+  const store = (id, key, pdf, size) => {
+    // A new version supersedes any older one of the same key.
+    for (const [otherId, entry] of entries) {
+      if (entry.key === key) remove(otherId);
+    }
+    entries.set(id, { key, pdf, size });
+    totalBytes += size;
+
+    while (entries.size > maxEntries || totalBytes > maxBytes) {
+      const [oldest] = entries.keys();
+      etags.delete(entries.get(oldest).key);
+      remove(oldest);
+      counters.evictions += 1;
+    }
+  };
+
+  // head() → etag is only called when the remembered ETag is older than revalidateMs.
+  const etagFor = async (key, head) => {
+    const known = etags.get(key);
+    if (known && now() - known.checkedAt < revalidateMs) return known.etag;
+    if (pendingHeads.has(key)) return pendingHeads.get(key);
+
+    const checking = (async () => {
+      counters.heads += 1;
+      const etag = await head();
+      const checkedAt = now();
+      // Expired ETags are never read again; dropping them keeps keys that were never cached from piling up.
+      for (const [otherKey, other] of etags) {
+        if (checkedAt - other.checkedAt >= revalidateMs) etags.delete(otherKey);
+      }
+      etags.set(key, { etag, checkedAt });
+      return etag;
+    })();
+
+    pendingHeads.set(key, checking);
+    try {
+      return await checking;
+    } finally {
+      pendingHeads.delete(key);
+    }
+  };
+
+  const load = async (key, etag, read) => {
+    const id = `${key}\n${etag ?? ''}`;
+    const hit = etag ? entries.get(id) : null;
+    if (hit) {
+      entries.delete(id);
+      entries.set(id, hit);
+      counters.hits += 1;
+      return hit.pdf;
+    }
+
+    counters.misses += 1;
+    if (pending.has(id)) return pending.get(id);
+
+    const loading = (async () => {
+      const { pdf, size } = await read();
+      if (etag && size <= maxBytes) {
+        store(id, key, pdf, size);
+      } else {
+        counters.uncached += 1;
+      }
+      return pdf;
+    })();
+
+    pending.set(id, loading);
+    try {
+      return await loading;
+    } finally {
+      pending.delete(id);
+    }
+  };
+
+  const stats = () => ({
+    ...counters,
+    entries: entries.size,
+    bytes: totalBytes,
+    maxEntries,
+    maxBytes,
+    revalidateMs,
+  });
+
+  const clear = () => {
+    entries.clear();
+    etags.clear();
+    totalBytes = 0;
+  };
+
+  return { etagFor, load, stats, clear };
+};
@@ -0,0 +1,249 @@
+// Machine-readable tracking dots (opt-in via layout.trackingDots).
+//
+// Every sheet carries a tiled grid of tiny yellow dots encoding the VectorPrintJob id, the sheet
+// number and the first serial printed on the sheet. The same tile repeats over the whole page, so any
+// reasonably sized fragment of a scan is enough to recover it (bits are majority-voted across tiles).
+//
+// Tile: 25 x 16 cells, row 0 and column 0 always set (sync), last row / column always empty (guard),
+// 14 x 23 data cells read row-major. Payload (40 bytes, MSB first):
+//
+//   [0]      version (1)
+//   [1..12]  job id (24-hex ObjectId)
+//   [13..16] sheet number, uint32 big-endian, 1-based
+//   [17]     serial length (0..20)
+//   [18..37] serial, ASCII, zero padded
+//   [38..39] CRC-16/CCITT-FALSE over [0..37]
+import { MM_TO_PT, snap } from './constants.js';
+
+export const TRACKING_DOTS_VERSION = 1;
+export const TRACKING_TILE_COLUMNS = 25;
+export const TRACKING_TILE_ROWS = 16;
+export const TRACKING_SERIAL_MAX = 20;
+
+const PAYLOAD_BYTES = 40;
+const DATA_ROWS = TRACKING_TILE_ROWS - 2;
+const DATA_COLUMNS = TRACKING_TILE_COLUMNS - 2;
+
+const DEFAULT_PITCH_MM = 1;
+const DEFAULT_DOT_MM = 0.15;
+
+// null when off, else the dot grid in millimetres and points.
+export const resolveTrackingDots = (layout) => {
+  const raw = layout?.trackingDots;
+  if (raw === undefined || raw === null || raw === false) return null;
+  const config = raw === true ? {} : raw;
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('layout.trackingDots must be true or an object when provided');
+  }
+
+  const pitchMm = config.pitchMm ?? DEFAULT_PITCH_MM;
+  const dotMm = config.dotMm ?? DEFAULT_DOT_MM;
+  if (typeof pitchMm !== 'number' || !(pitchMm >= 0.5 && pitchMm <= 3)) {
+    throw new Error('layout.trackingDots.pitchMm must be a number between 0.5 and 3');
+  }
+  if (typeof dotMm !== 'number' || !(dotMm >= 0.05 && dotMm <= 0.5) || dotMm >= pitchMm / 2) {
+    throw new Error('layout.trackingDots.dotMm must be a number between 0.05 and 0.5, and less than half of pitchMm');
+  }
+  return { pitchMm, dotMm, pitchPt: snap(pitchMm * MM_TO_PT), dotPt: snap(dotMm * MM_TO_PT) };
+};
+
+const crc16 = (bytes) => {
+  let crc = 0xffff;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i += 1) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+};
+
+const isDataCell = (col, row) => row >= 1 && row <= DATA_ROWS && col >= 1 && col <= DATA_COLUMNS;
+
+export const encodeTrackingPayload = ({ jobId, sheet, serial = '' }) => {
+  if (typeof jobId !== 'string' || !/^[0-9a-f]{24}$/i.test(jobId)) {
+    throw new Error('Tracking dots require a 24-hex VectorPrintJob id');
+  }
+  if (!Number.isInteger(sheet) || sheet < 1 || sheet > 0xffffffff) {
+    throw new Error('Tracking dots sheet number must be a positive integer');
+  }
+
+  const serialText = String(serial).replace(/[^\x20-\x7E]/g, '?').slice(0, TRACKING_SERIAL_MAX);
+  const bytes = new Uint8Array(PAYLOAD_BYTES);
+  bytes[0] = TRACKING_DOTS_VERSION;
+  bytes.set(Buffer.from(jobId, 'hex'), 1);
+  new DataView(bytes.buffer).setUint32(13, sheet);
+  bytes[17] = serialText.length;
+  bytes.set(Buffer.from(serialText, 'ascii'), 18);
+  new DataView(bytes.buffer).setUint16(38, crc16(bytes.subarray(0, 38)));
+  return bytes;
+};
+
+export const decodeTrackingPayload = (bytes) => {
+  if (bytes.length < PAYLOAD_BYTES || bytes[0] !== TRACKING_DOTS_VERSION) {
+    throw new Error('Unsupported tracking dot payload version');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, PAYLOAD_BYTES);
+  if (view.getUint16(38) !== crc16(bytes.subarray(0, 38))) {
+    throw new Error('Tracking dot payload failed CRC check');
+  }
+  const serialLength = Math.min(bytes[17], TRACKING_SERIAL_MAX);
+  return {
+    jobId: Buffer.from(bytes.subarray(1, 13)).toString('hex'),
+    sheet: view.getUint32(13),
+    serial: Buffer.from(bytes.subarray(18, 18 + serialLength)).toString('ascii'),
+  };
+};
+
+// Set cells of one tile as [col, row], row 0 at the top.
+export const buildTrackingTile = (payloadBytes) => {
+  const cells = [];
+  let bit = 0;
+  for (let row = 0; row < TRACKING_TILE_ROWS; row += 1) {
+    for (let col = 0; col < TRACKING_TILE_COLUMNS; col += 1) {
+      if (row === 0 || col === 0) {
+        cells.push([col, row]);
+        continue;
+      }
+      if (!isDataCell(col, row)) continue;
+      const byte = payloadBytes[bit >> 3];
+      if (byte !== undefined && (byte >> (7 - (bit & 7))) & 1) cells.push([col, row]);
+      bit += 1;
+    }
+  }
+  return cells;
+};
+
+// ---------------------------------------------------------------------------------------------
+// Decoder (investigations): image is { width, height, data } RGBA, y down, e.g. from pngjs.
+// The scan must be roughly axis-aligned; dpi (or pitchPx) tells the decoder the dot spacing.
+
+const isYellow = (data, i) => {
+  const r = data[i];
+  const g = data[i + 1];
+  const b = data[i + 2];
+  return r >= 150 && g >= 150 && b + 60 <= Math.min(r, g);
+};
+
+const findDotCentroids = (image, maxDotArea) => {
+  const { width, height, data } = image;
+  const seen = new Uint8Array(width * height);
+  const centroids = [];
+  const stack = [];
+
+  for (let start = 0; start < width * height; start += 1) {
+    if (seen[start] || !isYellow(data, start * 4)) continue;
+    seen[start] = 1;
+    stack.push(start);
+    let area = 0;
+    let sx = 0;
+    let sy = 0;
+    while (stack.length > 0) {
+      const p = stack.pop();
+      const x = p % width;
+      const y = (p - x) / width;
+      area += 1;
+      sx += x;
+      sy += y;
+      const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, y > 0 ? p - width : -1, y < height - 1 ? p + width : -1];
+      for (const n of neighbours) {
+        if (n < 0 || seen[n] || !isYellow(data, n * 4)) continue;
+        seen[n] = 1;
+        stack.push(n);
+      }
+    }
+    // Large yellow areas are artwork, not dots.
+    if (area <= maxDotArea) centroids.push([sx / area, sy / area]);
+  }
+  return centroids;
+};
+
+const circularPhase = (values, period) => {
+  let s = 0;
+  let c = 0;
+  for (const v of values) {
+    const a = ((v % period) / period) * Math.PI * 2;
+    s += Math.sin(a);
+    c += Math.cos(a);
+  }
+  const angle = Math.atan2(s, c);
+  return ((angle < 0 ? angle + Math.PI * 2 : angle) / (Math.PI * 2)) * period;
+};
+
+const argMaxResidue = (values, period) => {
+  const counts = new Array(period).fill(0);
+  for (const v of values) counts[((v % period) + period) % period] += 1;
+  return counts.indexOf(Math.max(...counts));
+};
+
+export const decodeTrackingDots = (image, { dpi = 300, pitchMm = DEFAULT_PITCH_MM, pitchPx = null } = {}) => {
+  const pitch = pitchPx ?? (pitchMm * dpi) / 25.4;
+  if (!(pitch >= 3)) {
+    throw new Error('Tracking dot pitch is below 3 pixels; scan at a higher dpi');
+  }
+
+  const centroids = findDotCentroids(image, Math.ceil((pitch * pitch) / 4));
+  if (centroids.length < TRACKING_TILE_COLUMNS + TRACKING_TILE_ROWS) {
+    throw new Error('No tracking dot pattern found');
+  }
+
+  const x0 = circularPhase(centroids.map(([x]) => x), pitch);
+  const y0 = circularPhase(centroids.map(([, y]) => y), pitch);
+  const occupied = new Set();
+  const gxs = [];
+  const gys = [];
+  for (const [x, y] of centroids) {
+    const gx = Math.round((x - x0) / pitch);
+    const gy = Math.round((y - y0) / pitch);
+    occupied.add(`${gx},${gy}`);
+    gxs.push(gx);
+    gys.push(gy);
+  }
+
+  // Sync row / column are the only full ones, so they are the most populated residues.
+  const syncCol = argMaxResidue(gxs, TRACKING_TILE_COLUMNS);
+  const syncRow = argMaxResidue(gys, TRACKING_TILE_ROWS);
+  const minGx = Math.min(...gxs);
+  const maxGx = Math.max(...gxs);
+  const minGy = Math.min(...gys);
+  const maxGy = Math.max(...gys);
+  const firstTx = Math.floor((minGx - syncCol) / TRACKING_TILE_COLUMNS);
+  const firstTy = Math.floor((minGy - syncRow) / TRACKING_TILE_ROWS);
+
+  const totalBits = DATA_ROWS * DATA_COLUMNS;
+  const ones = new Array(totalBits).fill(0);
+  let tilesRead = 0;
+
+  for (let ty = firstTy; syncRow + ty * TRACKING_TILE_ROWS <= maxGy; ty += 1) {
+    for (let tx = firstTx; syncCol + tx * TRACKING_TILE_COLUMNS <= maxGx; tx += 1) {
+      const ox = syncCol + tx * TRACKING_TILE_COLUMNS;
+      const oy = syncRow + ty * TRACKING_TILE_ROWS;
+      const has = (col, row) => occupied.has(`${ox + col},${oy + row}`);
+
+      // Only tiles whose sync marks are (nearly) intact are trusted.
+      let sync = 0;
+      for (let col = 0; col < TRACKING_TILE_COLUMNS; col += 1) sync += has(col, 0) ? 1 : 0;
+      for (let row = 1; row < TRACKING_TILE_ROWS; row += 1) sync += has(0, row) ? 1 : 0;
+      if (sync < 0.9 * (TRACKING_TILE_COLUMNS + TRACKING_TILE_ROWS - 1)) continue;
+
+      tilesRead += 1;
+      let bit = 0;
+      for (let row = 1; row <= DATA_ROWS; row += 1) {
+        for (let col = 1; col <= DATA_COLUMNS; col += 1) {
+          if (has(col, row)) ones[bit] += 1;
+          bit += 1;
+        }
+      }
+    }
+  }
+
+  if (tilesRead === 0) {
+    throw new Error('No complete tracking dot tile found');
+  }
+
+  const bytes = new Uint8Array(PAYLOAD_BYTES);
+  for (let bit = 0; bit < PAYLOAD_BYTES * 8; bit += 1) {
+    if (ones[bit] * 2 > tilesRead) bytes[bit >> 3] |= 1 << (7 - (bit & 7));
+  }
+  return { ...decodeTrackingPayload(bytes), tilesRead };
+};
@@ -1,5 +1,31 @@
 // Vector data contract validation - MUST MATCH EXACTLY
- 
+import { PAGE_SIZE_NAMES, PAGE_ORIENTATIONS, resolvePageSize } from './pageSize.js';
+import { CUSTOM_PAGE_MIN_MM, CUSTOM_PAGE_MAX_MM } from './constants.js';
+import { NUMBERING_ORDERS } from './numbering.js';
+import { BARCODE_TYPES } from './barcodes.js';
+import { CHECK_DIGIT_ALGORITHMS, parseSeriesFormat } from './seriesFormat.js';
+import { resolveSeriesSequence } from './seriesSequence.js';
+import { createSeriesValueSource, resolveLayoutTotalPages } from './seriesValues.js';
+import { DATASET_KEY_PREFIX } from './dataset.js';
+import { resolvePrintMarks } from './printMarks.js';
+import { resolveTrackingDots } from './trackingDots.js';
+import { resolveCutLines } from './cutLines.js';
+import { resolvePageMargins } from './pageMargins.js';
+import { resolveDuplex } from './duplex.js';
+import { resolveDesigns } from './designs.js';
+import { resolveOutputSplit } from './outputSplit.js';
+import { resolveSlotRotation, hasUniformFootprint } from './slotRotation.js';
+import { AUTO_REPEAT_PER_PAGE, isAutoRepeatPerPage, resolveAutoSlots } from './sheetFit.js';
+import { SECURITY_WATERMARK_TYPES, GUILLOCHE_MAX_LINES } from './securityPatterns.js';
+
+const MAX_LINKED_SLOTS = 8;
+
+const isMmTicketCrop = (ticketCrop) =>
+  Boolean(ticketCrop) &&
+  typeof ticketCrop.widthMm === 'number' &&
+  typeof ticketCrop.heightMm === 'number' &&
+  ticketCrop.widthMm > 0 &&
+  ticketCrop.heightMm > 0;
 
 export const validateVectorMetadata = (metadata) => {
   const errors = [];
@@ -20,11 +46,68 @@ export const validateVectorMetadata = (metadata) => {
   } else {
     validateLayout(metadata.layout, errors);
   }
+
+  // repeatPerPage 'auto' is checked as the layout it resolves to.
+  let resolved = metadata;
+  if (metadata.layout && typeof metadata.layout === 'object' && metadata.ticketCrop && typeof metadata.ticketCrop === 'object') {
+    try {
+      resolved = resolveAutoSlots(metadata);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
   
   if (!Array.isArray(metadata.series)) {
     errors.push('series must be an array');
   } else {
-    metadata.series.forEach((s, i) => validateSeries(s, i, errors, metadata.layout));
+    metadata.series.forEach((s, i) => validateSeries(s, i, errors, resolved.layout));
+  }
+
+  if (metadata.fields !== undefined && metadata.fields !== null) {
+    validateDatasetFields(resolved, errors);
+  }
+
+  try {
+    resolveDuplex(metadata);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  // slotDesigns under 'auto' is rejected when the auto layout is resolved.
+  if (!(isAutoRepeatPerPage(resolved.layout) && resolved.layout.slotDesigns !== undefined && resolved.layout.slotDesigns !== null)) {
+    try {
+      resolveDesigns(resolved, resolved.layout?.repeatPerPage ?? 4);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  // mm placement steps every object by one footprint and has its own ticketCrop.rotationDeg.
+  if (resolved.layout && typeof resolved.layout === 'object' && isMmTicketCrop(resolved.ticketCrop)) {
+    try {
+      const rotation = resolveSlotRotation(resolved.layout, resolved.layout.repeatPerPage ?? 4);
+      if (rotation && resolved.ticketCrop.rotationDeg) {
+        errors.push('layout.slotRotation / layout.nesting cannot be combined with ticketCrop.rotationDeg');
+      } else if (rotation && !hasUniformFootprint(rotation)) {
+        errors.push('layout.slotRotation must turn every slot by a quarter turn (90 / 270) or none in mm placement');
+      }
+    } catch {
+      // already reported by validateLayout
+    }
+  }
+
+  if (errors.length === 0) {
+    validateDerivedTotalPages(resolved, errors);
+  }
+
+  // The number of split files is only known once the sheet count can be derived; an unresolved
+  // 'auto' layout is already reported.
+  if (!isAutoRepeatPerPage(resolved.layout)) {
+    try {
+      resolveOutputSplit(resolved, errors.length === 0 ? resolveLayoutTotalPages(resolved) : null);
+    } catch (err) {
+      errors.push(err.message);
+    }
   }
   
   if (!Array.isArray(metadata.watermarks)) {
@@ -39,6 +122,76 @@ export const validateVectorMetadata = (metadata) => {
   };
 };
 
+// Field bindings reference dataset columns; the columns themselves are checked once the dataset is
+// loaded from S3 (assign-job, and again at render time).
+const validateDatasetFields = (metadata, errors) => {
+  if (!Array.isArray(metadata.fields)) {
+    errors.push('fields must be an array when provided');
+    return;
+  }
+  if (metadata.fields.length === 0) return;
+
+  const dataset = metadata.dataset;
+  if (!dataset || typeof dataset !== 'object') {
+    errors.push('dataset is required when fields are provided');
+  } else {
+    if (typeof dataset.key !== 'string' || !dataset.key.startsWith(DATASET_KEY_PREFIX)) {
+      errors.push(`dataset.key must be a key returned by the dataset upload (${DATASET_KEY_PREFIX}...)`);
+    }
+    if (dataset.rowOffset !== undefined && dataset.rowOffset !== null) {
+      if (!Number.isInteger(dataset.rowOffset) || dataset.rowOffset < 0) {
+        errors.push('dataset.rowOffset must be an integer >= 0 when provided');
+      }
+    }
+  }
+
+  metadata.fields.forEach((field, index) => {
+    const path = `fields[${index}]`;
+    if (!field || typeof field !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!field.id || typeof field.id !== 'string') {
+      errors.push(`${path}.id is required and must be a string`);
+    }
+    if (!field.column || typeof field.column !== 'string') {
+      errors.push(`${path}.column is required and must be a string`);
+    }
+    if (!field.font || typeof field.font !== 'string') {
+      errors.push(`${path}.font is required and must be a string`);
+    }
+    if (typeof field.fontSize !== 'number' || field.fontSize < 6 || field.fontSize > 72) {
+      errors.push(`${path}.fontSize must be a number between 6 and 72`);
+    }
+    if (field.color !== undefined) {
+      if (typeof field.color !== 'string' || !field.color.match(/^(#[0-9A-Fa-f]{3}|#[0-9A-Fa-f]{6}|rgb\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)|[a-zA-Z]+)$/)) {
+        errors.push(`${path}.color must be a valid color format (hex, rgb, or named color)`);
+      }
+    }
+    if (!Array.isArray(field.slots) || field.slots.length === 0) {
+      errors.push(`${path}.slots must be a non-empty array`);
+    } else {
+      const repeatPerPage = metadata.layout?.repeatPerPage;
+      if (typeof repeatPerPage === 'number' && field.slots.length !== 1 && field.slots.length !== repeatPerPage) {
+        errors.push(`${path}.slots length must be 1 or equal layout.repeatPerPage`);
+      }
+      field.slots.forEach((slot, slotIndex) => validateSlot(slot, `${path}.slots[${slotIndex}]`, errors));
+    }
+  });
+};
+
+const validateDerivedTotalPages = (metadata, errors) => {
+  const layout = metadata.layout;
+  if (layout.totalPages !== undefined && layout.totalPages !== null) return;
+
+  const totalPages = resolveLayoutTotalPages(metadata);
+  if (totalPages === null) {
+    errors.push('layout.totalPages is required unless a series defines values or end');
+  } else if (totalPages > 100000) {
+    errors.push(`layout.totalPages derived from series (${totalPages}) exceeds 100000`);
+  }
+};
+
 const validateTicketCrop = (ticketCrop, errors) => {
   const required = ['pageIndex', 'xRatio', 'yRatio', 'widthRatio', 'heightRatio'];
   required.forEach(field => {
@@ -75,13 +228,7 @@ const validateTicketCrop = (ticketCrop, errors) => {
     errors.push('ticketCrop.heightRatio must be <= 1');
   }
 
-  const isUserMmMode =
-    ticketCrop &&
-    typeof ticketCrop.widthMm === 'number' &&
-    typeof ticketCrop.heightMm === 'number' &&
-    ticketCrop.widthMm > 0 &&
-    ticketCrop.heightMm > 0;
-  if (!isUserMmMode) return;
+  if (!isMmTicketCrop(ticketCrop)) return;
 
   const widthMm = ticketCrop.widthMm;
   const heightMm = ticketCrop.heightMm;
@@ -130,19 +277,88 @@ const validateTicketCrop = (ticketCrop, errors) => {
 };
 
 const validateLayout = (layout, errors) => {
-  if (layout.pageSize !== 'A4') {
-    errors.push('layout.pageSize must be "A4"');
+  if (layout.orientation !== undefined && layout.orientation !== null && !PAGE_ORIENTATIONS.includes(layout.orientation)) {
+    errors.push(`layout.orientation must be one of: ${PAGE_ORIENTATIONS.join(', ')} when provided`);
+  } else if (!resolvePageSize(layout.pageSize, layout.orientation ?? null)) {
+    errors.push(
+      `layout.pageSize must be one of: ${PAGE_SIZE_NAMES.join(', ')} or { widthMm, heightMm } between ${CUSTOM_PAGE_MIN_MM} and ${CUSTOM_PAGE_MAX_MM} mm`
+    );
   }
   
   // repeatPerPage is backend-owned. If missing, backend defaults it.
-  if (layout.repeatPerPage !== undefined) {
+  if (layout.repeatPerPage !== undefined && !isAutoRepeatPerPage(layout)) {
     if (typeof layout.repeatPerPage !== 'number' || layout.repeatPerPage < 1 || layout.repeatPerPage > 16) {
-      errors.push('layout.repeatPerPage must be a number between 1 and 16');
+      errors.push(`layout.repeatPerPage must be a number between 1 and 16 or '${AUTO_REPEAT_PER_PAGE}'`);
+    }
+  }
+
+  // Omitted totalPages is derived from bounded series; checked in validateDerivedTotalPages.
+  if (layout.totalPages !== undefined && layout.totalPages !== null) {
+    if (typeof layout.totalPages !== 'number' || layout.totalPages < 1 || layout.totalPages > 100000) {
+      errors.push('layout.totalPages must be a positive number');
+    }
+  }
+
+  // Optional grid imposition. Without columns the sheet is a single column of strips.
+  ['columns', 'rows'].forEach((field) => {
+    const v = layout[field];
+    if (v === undefined || v === null) return;
+    if (typeof v !== 'number' || !Number.isInteger(v) || v < 1 || v > 16) {
+      errors.push(`layout.${field} must be an integer between 1 and 16 when provided`);
     }
+  });
+
+  ['gutterXPt', 'gutterYPt'].forEach((field) => {
+    const v = layout[field];
+    if (v === undefined || v === null) return;
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < 0) {
+      errors.push(`layout.${field} must be a finite number >= 0 when provided`);
+    }
+  });
+
+  if (layout.numberingOrder !== undefined && layout.numberingOrder !== null && !NUMBERING_ORDERS.includes(layout.numberingOrder)) {
+    errors.push(`layout.numberingOrder must be one of: ${NUMBERING_ORDERS.join(', ')} when provided`);
   }
 
-  if (typeof layout.totalPages !== 'number' || layout.totalPages < 1 || layout.totalPages > 100000) {
-    errors.push('layout.totalPages must be a positive number');
+  if (Number.isInteger(layout.columns) && Number.isInteger(layout.rows)) {
+    const repeatPerPage = typeof layout.repeatPerPage === 'number' ? layout.repeatPerPage : 4;
+    if (layout.columns * layout.rows < repeatPerPage) {
+      errors.push('layout.columns * layout.rows must be >= layout.repeatPerPage');
+    }
+  }
+
+  try {
+    resolvePrintMarks(layout);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  try {
+    resolveTrackingDots(layout);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  try {
+    resolveCutLines(layout);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  // Sheet room is only checked when the page size itself is valid.
+  try {
+    resolvePageMargins(layout, resolvePageSize(layout.pageSize, layout.orientation ?? null));
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  // Per-slot rotation lists under 'auto' are rejected when the auto layout is resolved.
+  if (!(isAutoRepeatPerPage(layout) && Array.isArray(layout.slotRotation))) {
+    try {
+      resolveSlotRotation(layout, typeof layout.repeatPerPage === 'number' ? layout.repeatPerPage : 4);
+    } catch (err) {
+      errors.push(err.message);
+    }
   }
 };
 
@@ -159,13 +375,9 @@ const validateSeries = (series, index, errors, layout) => {
     errors.push(`series[${index}].padLength must be a number when provided`);
   }
   
-  if (typeof series.start !== 'number') {
-    errors.push(`series[${index}].start is required and must be a number`);
-  }
-  
-  if (typeof series.step !== 'number' || series.step < 1) {
-    errors.push(`series[${index}].step is required and must be a positive number`);
-  }
+  validateSeriesFormat(series, index, errors);
+
+  validateSeriesSequence(series, index, errors);
   
   if (!series.font || typeof series.font !== 'string') {
     errors.push(`series[${index}].font is required and must be a string`);
@@ -201,12 +413,147 @@ const validateSeries = (series, index, errors, layout) => {
       validateSlot(slot, `${index}.slots[${slotIndex}]`, errors);
     });
   }
+
+  // Linked slots repeat the same value at further positions on every object (stub, counterfoil).
+  if (series.linkedSlots !== undefined && series.linkedSlots !== null) {
+    if (!Array.isArray(series.linkedSlots)) {
+      errors.push(`series[${index}].linkedSlots must be an array when provided`);
+    } else if (series.linkedSlots.length > MAX_LINKED_SLOTS) {
+      errors.push(`series[${index}].linkedSlots cannot have more than ${MAX_LINKED_SLOTS} entries`);
+    } else {
+      series.linkedSlots.forEach((slot, slotIndex) => {
+        if (!slot || typeof slot !== 'object') {
+          errors.push(`series[${index}].linkedSlots[${slotIndex}] must be an object`);
+          return;
+        }
+        validateSlot(slot, `series[${index}].linkedSlots[${slotIndex}]`, errors);
+      });
+    }
+  }
+
+  if (series.barcode !== undefined && series.barcode !== null) {
+    validateSeriesBarcode(series, `series[${index}].barcode`, errors);
+  }
+
+  // Signed ticket QR: same object-relative box as barcode, symbology is fixed and the
+  // encoded text (jobId + serial + signature) is built by the engine.
+  if (series.qr !== undefined && series.qr !== null) {
+    validateCodeBox(series.qr, `series[${index}].qr`, errors);
+  }
+};
+
+// Barcode / QR boxes are object-relative like slots, but their size is a ratio of the object too.
+const validateCodeBox = (box, path, errors) => {
+  if (typeof box !== 'object' || Array.isArray(box)) {
+    errors.push(`${path} must be an object when provided`);
+    return false;
+  }
+
+  if (!Number.isFinite(box.xRatio) || !Number.isFinite(box.yRatio)) {
+    errors.push(`${path}.xRatio and ${path}.yRatio must be finite numbers`);
+  }
+  if (!Number.isFinite(box.widthRatio) || box.widthRatio <= 0) {
+    errors.push(`${path}.widthRatio must be a number > 0`);
+  }
+  if (!Number.isFinite(box.heightRatio) || box.heightRatio <= 0) {
+    errors.push(`${path}.heightRatio must be a number > 0`);
+  }
+
+  if (box.color !== undefined) {
+    if (typeof box.color !== 'string' || !box.color.match(/^(#[0-9A-Fa-f]{3}|#[0-9A-Fa-f]{6}|rgb\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\))$/)) {
+      errors.push(`${path}.color must be a hex or rgb() color when provided`);
+    }
+  }
+  return true;
+};
+
+const validateSeriesBarcode = (series, path, errors) => {
+  const barcode = series.barcode;
+  if (!validateCodeBox(barcode, path, errors)) return;
+
+  if (!BARCODE_TYPES.includes(barcode.type)) {
+    errors.push(`${path}.type must be one of: ${BARCODE_TYPES.join(', ')}`);
+  }
+
+  // Code 128 covers ASCII only; generated parts always are, so only prefix / format literals can break encoding.
+  const literalText = `${typeof series.prefix === 'string' ? series.prefix : ''}${typeof series.format === 'string' ? series.format : ''}`;
+  if (barcode.type === 'code128' && !/^[\x00-\x7F]*$/.test(literalText)) {
+    errors.push(`${path}: code128 cannot encode non-ASCII characters in series prefix or format`);
+  }
+};
+
+// Decimal series keep the numeric start contract; other kinds also accept a written start ("AB0500").
+const validateSeriesSequence = (series, index, errors) => {
+  let sequence;
+  try {
+    sequence = resolveSeriesSequence(series);
+  } catch (err) {
+    errors.push(`series[${index}].${err.message}`);
+    return;
+  }
+
+  // An explicit values list replaces start/step entirely.
+  const hasValues = series.values !== undefined && series.values !== null;
+  if (!hasValues) {
+    if (sequence.kind === 'decimal' && typeof series.start !== 'number') {
+      errors.push(`series[${index}].start is required and must be a number`);
+      return;
+    }
+    if (typeof series.step !== 'number' || series.step < 1) {
+      errors.push(`series[${index}].step is required and must be a positive number`);
+      return;
+    }
+    if (sequence.kind !== 'decimal' && !Number.isInteger(series.step)) {
+      errors.push(`series[${index}].step must be an integer for ${sequence.kind} sequences`);
+      return;
+    }
+  }
+
+  // start / end / exclude / values are resolved by the engine's own value source.
+  try {
+    createSeriesValueSource(series, sequence);
+  } catch (err) {
+    errors.push(`series[${index}].${err.message}`);
+  }
+};
+
+// Templates are parsed with the engine's own parser so a bad template fails here, before enqueue.
+const validateSeriesFormat = (series, index, errors) => {
+  if (series.checkDigit !== undefined && series.checkDigit !== null && !CHECK_DIGIT_ALGORITHMS.includes(series.checkDigit)) {
+    errors.push(`series[${index}].checkDigit must be one of: ${CHECK_DIGIT_ALGORITHMS.join(', ')}`);
+  }
+
+  if (series.formatDate !== undefined && series.formatDate !== null) {
+    if (typeof series.formatDate !== 'string' || Number.isNaN(new Date(series.formatDate).getTime())) {
+      errors.push(`series[${index}].formatDate must be an ISO date string when provided`);
+    }
+  }
+
+  if (series.format === undefined || series.format === null) return;
+
+  try {
+    parseSeriesFormat(series.format, { checkDigit: series.checkDigit ?? null });
+  } catch (err) {
+    errors.push(`series[${index}].${err.message}`);
+  }
 };
 
 const validateSlot = (slot, path, errors) => {
   if (typeof slot.xRatio !== 'number' || typeof slot.yRatio !== 'number') {
     errors.push(`${path}.xRatio and ${path}.yRatio must be numbers`);
   }
+
+  // Optional per-slot overrides (stub / counterfoil copies set their own size and rotation)
+  if (slot.fontSize !== undefined && slot.fontSize !== null) {
+    if (typeof slot.fontSize !== 'number' || slot.fontSize < 6 || slot.fontSize > 72) {
+      errors.push(`${path}.fontSize must be a number between 6 and 72 when provided`);
+    }
+  }
+  if (slot.rotation !== undefined && slot.rotation !== null) {
+    if (typeof slot.rotation !== 'number' || !Number.isFinite(slot.rotation) || slot.rotation < -360 || slot.rotation > 360) {
+      errors.push(`${path}.rotation must be a number of degrees between -360 and 360 when provided`);
+    }
+  }
   
   // Series slots are now object-relative (relative to ticketCrop bbox)
   // No A4 bounds validation needed - object-relative coordinates can be positive or negative
@@ -218,8 +565,8 @@ const validateWatermark = (watermark, index, errors) => {
     errors.push(`watermarks[${index}].id is required and must be a string`);
   }
   
-  if (!['text', 'svg'].includes(watermark.type)) {
-    errors.push(`watermarks[${index}].type must be "text" or "svg"`);
+  if (!['text', 'svg', ...SECURITY_WATERMARK_TYPES].includes(watermark.type)) {
+    errors.push(`watermarks[${index}].type must be one of: text, svg, ${SECURITY_WATERMARK_TYPES.join(', ')}`);
   }
   
   if (watermark.type === 'text') {
@@ -233,11 +580,19 @@ const validateWatermark = (watermark, index, errors) => {
       errors.push(`watermarks[${index}].svgPath is required for SVG watermarks`);
     }
   }
+
+  const isSecurityPattern = SECURITY_WATERMARK_TYPES.includes(watermark.type);
+  if (isSecurityPattern) {
+    validateSecurityWatermark(watermark, `watermarks[${index}]`, errors);
+  }
   
   if (typeof watermark.opacity !== 'number' || watermark.opacity < 0 || watermark.opacity > 1) {
     errors.push(`watermarks[${index}].opacity must be a number between 0 and 1`);
   }
   
+  // Guilloche / microtext always cover the whole object, so rotate and position do not apply.
+  if (isSecurityPattern) return;
+
   if (typeof watermark.rotate !== 'number') {
     errors.push(`watermarks[${index}].rotate must be a number`);
   }
@@ -262,3 +617,36 @@ const validateWatermark = (watermark, index, errors) => {
     }
   }
 };
+
+const validateSecurityWatermark = (watermark, path, errors) => {
+  if (watermark.seed !== undefined && watermark.seed !== null) {
+    const validSeed = (typeof watermark.seed === 'string' && watermark.seed.length > 0 && watermark.seed.length <= 128) ||
+      (typeof watermark.seed === 'number' && Number.isFinite(watermark.seed));
+    if (!validSeed) {
+      errors.push(`${path}.seed must be a non-empty string (max 128 chars) or a finite number when provided`);
+    }
+  }
+
+  if (watermark.type === 'guilloche') {
+    if (watermark.lines !== undefined && (!Number.isInteger(watermark.lines) || watermark.lines < 1 || watermark.lines > GUILLOCHE_MAX_LINES)) {
+      errors.push(`${path}.lines must be an integer between 1 and ${GUILLOCHE_MAX_LINES} when provided`);
+    }
+    if (watermark.strokeWidth !== undefined && (typeof watermark.strokeWidth !== 'number' || watermark.strokeWidth < 0.05 || watermark.strokeWidth > 2)) {
+      errors.push(`${path}.strokeWidth must be a number between 0.05 and 2 when provided`);
+    }
+    return;
+  }
+
+  if (!watermark.value || typeof watermark.value !== 'string') {
+    errors.push(`${path}.value is required for microtext watermarks`);
+  }
+  if (watermark.fontSize !== undefined && (typeof watermark.fontSize !== 'number' || watermark.fontSize < 0.5 || watermark.fontSize > 4)) {
+    errors.push(`${path}.fontSize must be a number between 0.5 and 4 for microtext`);
+  }
+  if (watermark.insetPt !== undefined && (typeof watermark.insetPt !== 'number' || watermark.insetPt < 0 || watermark.insetPt > 20)) {
+    errors.push(`${path}.insetPt must be a number between 0 and 20 when provided`);
+  }
+  if (watermark.fontFamily !== undefined && typeof watermark.fontFamily !== 'string') {
+    errors.push(`${path}.fontFamily must be a string when provided`);
+  }
+};
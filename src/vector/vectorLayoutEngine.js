@@ -4,16 +4,80 @@ import fs from 'fs/promises';
 import os from 'os';
 import path from 'path';
 import { spawn } from 'child_process';
-import { A4_WIDTH, A4_HEIGHT, SAFE_MARGIN, snap } from './constants.js';
+import { MM_TO_PT, snap } from './constants.js';
+import { DEFAULT_PAGE_SIZE, resolveLayoutPageSize, ptToMm } from './pageSize.js';
+import { resolveNumberingOrder, createSlotIndexer } from './numbering.js';
+import { resolveDuplex, mirrorPlacement, mirrorSeries, mirrorTextSlot } from './duplex.js';
+import {
+  resolveSlotRotation,
+  slotRotationAt,
+  isQuarterTurn,
+  hasUniformFootprint,
+  uprightPlacement,
+  objectFrameMatrix,
+} from './slotRotation.js';
+import { resolveAutoSlots, slotsPerSheet } from './sheetFit.js';
+import { resolveDesigns, designAt, designSourceKeys } from './designs.js';
+import { createTemplateCache } from './templateCache.js';
+import { resolvePageMargins, DEFAULT_MARGINS } from './pageMargins.js';
+import { encodeBarcode, barcodeToSvgPath } from './barcodes.js';
+import { createSeriesFormatter } from './seriesFormat.js';
+import { createSeriesValueSource, resolveLayoutTotalPages } from './seriesValues.js';
+import { createColumnReader, unicodeColumnsOf } from './dataset.js';
+import { buildGuillochePath, buildMicrotextRun } from './securityPatterns.js';
+import {
+  resolveTrackingDots,
+  encodeTrackingPayload,
+  buildTrackingTile,
+  TRACKING_TILE_COLUMNS,
+  TRACKING_TILE_ROWS,
+} from './trackingDots.js';
+import {
+  resolvePrintMarks,
+  trimBoxOf,
+  unionBox,
+  bleedRingRects,
+  drawCropMarks,
+  drawRegistrationTargets,
+  drawColorBars,
+  drawSlugLine,
+  setPageBoxes,
+} from './printMarks.js';
+import { resolveCutLines, planCutLines, SPOT_ALTERNATE_CMYK } from './cutLines.js';
 import { coordinateConverter } from './coordinateUtils.js';
 import { fontMetricsCache } from './fontMetrics.js';
+import { resolveRegisteredFont, standardFontOrFallback, datasetFontErrors, fontkit } from './fontRegistry.js';
 import { svgRenderer } from './svgRenderer.js';
-import { downloadFromS3 } from '../services/s3.js';
+import { downloadFromS3, headS3Object } from '../services/s3.js';
+import { buildTicketQrPayload } from '../services/hmac.js';
 import VectorDocument from '../vectorModels/VectorDocument.js';
 
-const { PDFDocument, rgb, StandardFonts, pushGraphicsState, popGraphicsState, concatTransformationMatrix, degrees, rect, clip, endPath } = PDFLib;
-
-const MM_TO_PT = 2.834645669;
+const {
+  PDFDocument,
+  rgb,
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix,
+  degrees,
+  rect,
+  clip,
+  endPath,
+  rectangle,
+  clipEvenOdd,
+  fill,
+  stroke,
+  moveTo,
+  lineTo,
+  setLineWidth,
+  setDashPattern,
+  setStrokingColor,
+  setFillingCmykColor,
+  PDFName,
+  PDFDict,
+  PDFNumber,
+  PDFOperator,
+  PDFOperatorNames,
+} = PDFLib;
 
 // Color parsing utilities for preserving original colors
 const parseColor = (colorValue) => {
@@ -68,6 +132,15 @@ const parseColor = (colorValue) => {
   return rgb(0, 0, 0);
 };
 
+// Optional slot.rotation: degrees counter-clockwise about the text's baseline start.
+// An unrotated slot adds no rotate operator, so existing output is unchanged.
+const slotRotation = (slot) => {
+  const deg = Number(slot?.rotation ?? 0);
+  if (!Number.isFinite(deg) || deg === 0) return { cos: 1, sin: 0, options: {} };
+  const rad = (deg * Math.PI) / 180;
+  return { cos: Math.cos(rad), sin: Math.sin(rad), options: { rotate: degrees(deg) } };
+};
+
 const parseNumberList = (raw) => {
   const s = typeof raw === 'string' ? raw.trim() : '';
   if (!s || s.toLowerCase() === 'none') return null;
@@ -140,22 +213,23 @@ const injectNonScalingStroke = (svgContent) => {
   return `${withoutScripts.slice(0, insertAt)}${styleTag}${withoutScripts.slice(insertAt)}`;
 };
 
-const normalizeSvgToA4 = (rawSvg, placementRules = null) => {
+// Name kept for history: the target sheet defaults to A4 but may be any resolved page size.
+const normalizeSvgToA4 = (rawSvg, placementRules = null, pageSize = DEFAULT_PAGE_SIZE) => {
   const raw = String(rawSvg || '');
   const vb = extractViewBoxFromSvg(raw) || extractWidthHeightFallbackViewBoxFromSvg(raw);
   if (!vb || vb.width <= 0 || vb.height <= 0) {
     throw new Error('SVG is missing a valid viewBox');
   }
 
-  const a4W = Number(A4_WIDTH);
-  const a4H = Number(A4_HEIGHT);
-  if (!Number.isFinite(a4W) || !Number.isFinite(a4H) || a4W <= 0 || a4H <= 0) {
-    throw new Error('SVG normalization failed: invalid A4 constants');
+  const pageW = Number(pageSize?.width);
+  const pageH = Number(pageSize?.height);
+  if (!Number.isFinite(pageW) || !Number.isFinite(pageH) || pageW <= 0 || pageH <= 0) {
+    throw new Error('SVG normalization failed: invalid page size');
   }
 
-  const scale = Math.min(a4W / vb.width, a4H / vb.height);
-  let tx = -vb.x * scale + (a4W - vb.width * scale) / 2;
-  let ty = -vb.y * scale + (a4H - vb.height * scale) / 2;
+  const scale = Math.min(pageW / vb.width, pageH / vb.height);
+  let tx = -vb.x * scale + (pageW - vb.width * scale) / 2;
+  let ty = -vb.y * scale + (pageH - vb.height * scale) / 2;
 
   const placement =
     placementRules && typeof placementRules === 'object'
@@ -173,7 +247,7 @@ const normalizeSvgToA4 = (rawSvg, placementRules = null) => {
       const contentW = vb.width * scale;
       const contentH = vb.height * scale;
 
-      const curTL = { x: (a4W - contentW) / 2, y: (a4H - contentH) / 2 };
+      const curTL = { x: (pageW - contentW) / 2, y: (pageH - contentH) / 2 };
       const curTR = { x: curTL.x + contentW, y: curTL.y };
       const curBL = { x: curTL.x, y: curTL.y + contentH };
       const curBR = { x: curTL.x + contentW, y: curTL.y + contentH };
@@ -189,15 +263,17 @@ const normalizeSvgToA4 = (rawSvg, placementRules = null) => {
 
       let base = null;
       if (anchorRaw.startsWith('PAGE_')) {
-        if (/_TOP_RIGHT$/.test(anchorRaw)) base = { x: a4W, y: 0 };
-        else if (/_BOTTOM_LEFT$/.test(anchorRaw)) base = { x: 0, y: a4H };
-        else if (/_BOTTOM_RIGHT$/.test(anchorRaw)) base = { x: a4W, y: a4H };
+        if (/_TOP_RIGHT$/.test(anchorRaw)) base = { x: pageW, y: 0 };
+        else if (/_BOTTOM_LEFT$/.test(anchorRaw)) base = { x: 0, y: pageH };
+        else if (/_BOTTOM_RIGHT$/.test(anchorRaw)) base = { x: pageW, y: pageH };
         else base = { x: 0, y: 0 };
       } else if (anchorRaw.startsWith('MARGIN_')) {
-        if (/_TOP_RIGHT$/.test(anchorRaw)) base = { x: a4W - SAFE_MARGIN, y: SAFE_MARGIN };
-        else if (/_BOTTOM_LEFT$/.test(anchorRaw)) base = { x: SAFE_MARGIN, y: a4H - SAFE_MARGIN };
-        else if (/_BOTTOM_RIGHT$/.test(anchorRaw)) base = { x: a4W - SAFE_MARGIN, y: a4H - SAFE_MARGIN };
-        else base = { x: SAFE_MARGIN, y: SAFE_MARGIN };
+        // SVG space is top-down: top/left margins offset y/x from the top-left page corner.
+        const margins = resolvePageMargins(placementRules, pageSize, 'placementRules');
+        if (/_TOP_RIGHT$/.test(anchorRaw)) base = { x: pageW - margins.right, y: margins.top };
+        else if (/_BOTTOM_LEFT$/.test(anchorRaw)) base = { x: margins.left, y: pageH - margins.bottom };
+        else if (/_BOTTOM_RIGHT$/.test(anchorRaw)) base = { x: pageW - margins.right, y: pageH - margins.bottom };
+        else base = { x: margins.left, y: margins.top };
       } else if (anchorRaw.startsWith('CONTENT_')) {
         base = currentRef;
       }
@@ -216,7 +292,7 @@ const normalizeSvgToA4 = (rawSvg, placementRules = null) => {
 
   console.log('[BACKEND:SVG_NORMALIZE]', {
     originalViewBox: { x: vb.x, y: vb.y, width: vb.width, height: vb.height, unit: 'viewBox' },
-    finalViewBox: { x: 0, y: 0, width: a4W, height: a4H, unit: 'pt' },
+    finalViewBox: { x: 0, y: 0, width: pageW, height: pageH, unit: 'pt' },
     scaleApplied: scale,
     translate: { tx, ty, unit: 'pt' },
   });
@@ -227,7 +303,7 @@ const normalizeSvgToA4 = (rawSvg, placementRules = null) => {
 
   // Canonical rewrite of the <svg ...> open tag.
   // Keep unrelated attributes, but force these:
-  // - viewBox="0 0 595.28 841.89"
+  // - viewBox="0 0 <pageW> <pageH>" (595.28 841.89 for A4)
   // - width/height in pt
   // - xmlns present
   const existingXmlnsMatch = openTag.match(/\bxmlns\s*=\s*(['"])([^'"]+)\1/i);
@@ -241,7 +317,7 @@ const normalizeSvgToA4 = (rawSvg, placementRules = null) => {
     .replace(/\bpreserveAspectRatio\s*=\s*(['"])([^'"]*)\1/gi, '')
     .replace(/\bxmlns\s*=\s*(['"])([^'"]*)\1/gi, '')
     .trim();
-  const nextOpenTag = `<svg xmlns="${xmlns}" viewBox="0 0 ${a4W} ${a4H}" width="${a4W}pt" height="${a4H}pt"${attrsBody ? ` ${attrsBody}` : ''}>`;
+  const nextOpenTag = `<svg xmlns="${xmlns}" viewBox="0 0 ${pageW} ${pageH}" width="${pageW}pt" height="${pageH}pt"${attrsBody ? ` ${attrsBody}` : ''}>`;
 
   const openIdx = raw.toLowerCase().indexOf(openTag.toLowerCase());
   const afterOpenIdx = openIdx + openTag.length;
@@ -255,9 +331,9 @@ const normalizeSvgToA4 = (rawSvg, placementRules = null) => {
 
   // POST-NORMALIZATION ASSERTION (MUST CRASH ON FAIL)
   const finalVb = extractViewBoxFromSvg(rewritten);
-  if (!finalVb || finalVb.width !== a4W || finalVb.height !== a4H) {
+  if (!finalVb || finalVb.width !== pageW || finalVb.height !== pageH) {
     throw new Error(
-      `SVG normalization assertion failed: expected viewBox ${a4W}x${a4H}, got ${finalVb ? `${finalVb.width}x${finalVb.height}` : 'none'}`
+      `SVG normalization assertion failed: expected viewBox ${pageW}x${pageH}, got ${finalVb ? `${finalVb.width}x${finalVb.height}` : 'none'}`
     );
   }
 
@@ -390,7 +466,11 @@ const inkscapeSvgToPdfBytes = async (svgContent, options = null) => {
 
 export const svgBytesToPdfBytes = async (bytes, options = null) => {
   const raw = Buffer.isBuffer(bytes) ? bytes.toString('utf8') : Buffer.from(bytes).toString('utf8');
-  const normalized = normalizeSvgToA4(raw, options?.placementRules || null);
+  const pageSize = resolveLayoutPageSize({
+    pageSize: options?.pageSize ?? undefined,
+    orientation: options?.orientation ?? undefined,
+  });
+  const normalized = normalizeSvgToA4(raw, options?.placementRules || null, pageSize);
   const injected = injectNonScalingStroke(normalized);
   return inkscapeSvgToPdfBytes(injected, options);
 };
@@ -402,8 +482,11 @@ export class VectorLayoutEngine {
     this.embeddedFonts = new Map();
     this._seriesPipelineFinalLogged = false;
 
-    this._templatePdfCacheKey = null;
-    this._templatePdf = null;
+    // Front, back and design templates all go through one LRU (pass options.templateCache to share it).
+    this.templateCache = options.templateCache || createTemplateCache();
+
+    this._datasetCacheKey = null;
+    this._dataset = null;
   }
 
   mmToPt(mm) {
@@ -412,7 +495,7 @@ export class VectorLayoutEngine {
     return n * MM_TO_PT;
   }
 
-  async loadTemplatePdfOnce(sourcePdfKey) {
+  async resolveTemplateKey(sourcePdfKey) {
     const normalized = typeof sourcePdfKey === 'string' ? sourcePdfKey : '';
     const keyOrRefRaw = normalized.startsWith('s3://') ? normalized.slice('s3://'.length) : normalized;
 
@@ -425,22 +508,108 @@ export class VectorLayoutEngine {
       }
       key = doc.fileKey.trim();
     }
+    return key;
+  }
 
-    const cacheKey = key;
-    if (this._templatePdf && this._templatePdfCacheKey === cacheKey) {
-      return this._templatePdf;
-    }
-
-    const bytes = await downloadFromS3(cacheKey);
+  async readTemplatePdf(key) {
+    const bytes = await downloadFromS3(key);
     const header = Buffer.from(bytes.slice(0, 5)).toString();
     if (!header.startsWith('%PDF-')) {
       throw new Error('Source document is not a valid PDF template. Normalize SVG first.');
     }
+    return { pdf: await PDFDocument.load(bytes), size: bytes.length };
+  }
 
-    const pdf = await PDFDocument.load(bytes);
-    this._templatePdfCacheKey = cacheKey;
-    this._templatePdf = pdf;
-    return pdf;
+  // The ETag keeps cached templates honest: a re-uploaded object has a new one. It is re-fetched with an
+  // S3 HEAD once the cache's revalidation window has passed, not on every page of a job.
+  async loadTemplatePdfOnce(sourcePdfKey) {
+    const key = await this.resolveTemplateKey(sourcePdfKey);
+    const etag = await this.templateCache.etagFor(key, async () => (await headS3Object(key)).etag);
+    return this.templateCache.load(key, etag, () => this.readTemplatePdf(key));
+  }
+
+  getTemplateCacheStats() {
+    return this.templateCache.stats();
+  }
+
+  // Templates behind metadata.designs, each loaded once per call.
+  // Returns id → { id, sourcePdf, ticketCrop } with the crop in source points, like ticketCropPt.
+  async loadDesignSources(designConfig, ticketCropPt) {
+    const templates = new Map();
+    for (const sourcePdfKey of designSourceKeys(designConfig)) {
+      templates.set(sourcePdfKey, await this.loadTemplatePdfOnce(sourcePdfKey));
+    }
+
+    const sources = new Map();
+    for (const design of designConfig.designs.values()) {
+      const sourcePdf = templates.get(design.sourcePdfKey);
+      const { pageIndex, xRatio, yRatio, widthRatio, heightRatio } = design.ticketCrop;
+      if (pageIndex >= sourcePdf.getPageCount()) {
+        throw new Error(`Design "${design.id}": ticketCrop.pageIndex ${pageIndex} does not exist in its template`);
+      }
+      const srcPage = sourcePdf.getPage(pageIndex);
+      const srcW = srcPage.getWidth();
+      const srcH = srcPage.getHeight();
+      sources.set(design.id, {
+        id: design.id,
+        sourcePdf,
+        ticketCrop: {
+          ...ticketCropPt,
+          pageIndex,
+          x: xRatio * srcW,
+          y: yRatio * srcH,
+          width: widthRatio * srcW,
+          height: heightRatio * srcH,
+        },
+      });
+    }
+    return sources;
+  }
+
+  // Per-slot design sources for one sheet (null = main crop). Ticket positions follow the numbering order;
+  // slot rows / columns come from the grid the same way both placement modes lay them out.
+  sheetDesignSources(designConfig, designSources, { pageIdx, repeatPerPage, numbering, columns }) {
+    const perRow = Math.max(1, Number(columns || 1));
+    const slots = new Array(repeatPerPage).fill(null).map((_, i) => ({ row: Math.floor(i / perRow), column: i % perRow }));
+    const indexFor = createSlotIndexer({
+      order: numbering?.order,
+      repeatPerPage,
+      totalPages: numbering?.totalPages,
+      placements: slots,
+    });
+
+    return slots.map((_, slotIdx) => {
+      const id = designAt(designConfig, { position: indexFor(pageIdx, slotIdx), slotIdx });
+      return id ? designSources.get(id) : null;
+    });
+  }
+
+  // Normalised { columns, rows } JSON written by the dataset upload route. Single-entry cache:
+  // page-by-page rendering of one job downloads it once.
+  async loadDatasetOnce(datasetKey) {
+    const key = typeof datasetKey === 'string' ? datasetKey.trim() : '';
+    if (!key) {
+      throw new Error('Missing dataset.key');
+    }
+    if (this._dataset && this._datasetCacheKey === key) {
+      return this._dataset;
+    }
+
+    const bytes = await downloadFromS3(key);
+    let dataset;
+    try {
+      dataset = JSON.parse(Buffer.from(bytes).toString('utf8'));
+    } catch {
+      throw new Error('Dataset is not valid JSON');
+    }
+    if (!Array.isArray(dataset?.columns) || !Array.isArray(dataset?.rows)) {
+      throw new Error('Dataset is missing columns/rows');
+    }
+    dataset.unicodeColumns = unicodeColumnsOf(dataset);
+
+    this._datasetCacheKey = key;
+    this._dataset = dataset;
+    return dataset;
   }
 
   _finiteOrNull(v) {
@@ -470,30 +639,83 @@ export class VectorLayoutEngine {
     }
   }
 
-  buildSlotLayoutPlan(repeatPerPage, slotSpacingPt = 0) {
+  // Grid shape for a sheet. Without layout.columns this is one column of full-width strips,
+  // which is the historical (pre-grid) plan. gutterXPt/gutterYPt override slotSpacingPt per axis.
+  resolveSlotGrid(layout, repeatPerPage, pageSize = DEFAULT_PAGE_SIZE) {
     const slotsPerPage = Math.max(1, Number(repeatPerPage || 1));
-    const usableHeight = A4_HEIGHT - 2 * SAFE_MARGIN;
+    const columnsRaw = Math.floor(Number(layout?.columns));
+    const columns = Number.isFinite(columnsRaw) && columnsRaw >= 1 ? Math.min(columnsRaw, slotsPerPage) : 1;
+    const rowsRaw = Math.floor(Number(layout?.rows));
+    const rows = Number.isFinite(rowsRaw) && rowsRaw >= 1
+      ? Math.max(rowsRaw, Math.ceil(slotsPerPage / columns))
+      : Math.ceil(slotsPerPage / columns);
+
+    const spacing = this._finiteOrNull(layout?.slotSpacingPt) ?? 0;
+    const gutterXPt = this._finiteOrNull(layout?.gutterXPt) ?? spacing;
+    const gutterYPt = this._finiteOrNull(layout?.gutterYPt) ?? spacing;
+
+    return {
+      columns,
+      rows,
+      gutterXPt,
+      gutterYPt,
+      rotation: resolveSlotRotation(layout, slotsPerPage),
+      margins: resolvePageMargins(layout, pageSize),
+    };
+  }
 
-    const rawGap = Number(slotSpacingPt);
-    const gap = Number.isFinite(rawGap) ? Math.max(0, rawGap) : 0;
+  // Slot 0 sits in the bottom-left cell; indices advance left→right, then upward row by row.
+  buildSlotLayoutPlan(repeatPerPage, slotSpacingPt = 0, pageSize = DEFAULT_PAGE_SIZE, grid = null) {
+    const slotsPerPage = Math.max(1, Number(repeatPerPage || 1));
+    const columns = Math.max(1, Number(grid?.columns || 1));
+    const rows = Math.max(1, Number(grid?.rows || Math.ceil(slotsPerPage / columns)));
+
+    const margins = grid?.margins ?? DEFAULT_MARGINS;
+    const usableWidth = pageSize.width - margins.left - margins.right;
+    const usableHeight = pageSize.height - margins.bottom - margins.top;
+
+    const axisGap = (raw, count, usable) => {
+      const n = Number(raw);
+      const gap = Number.isFinite(n) ? Math.max(0, n) : 0;
+      const totalGaps = gap * Math.max(0, count - 1);
+      return usable - totalGaps > 0 ? gap : 0;
+    };
 
-    const totalGaps = gap * Math.max(0, slotsPerPage - 1);
-    const heightWithGap = usableHeight - totalGaps;
+    const effectiveGapX = axisGap(grid?.gutterXPt ?? 0, columns, usableWidth);
+    const effectiveGapY = axisGap(grid?.gutterYPt ?? slotSpacingPt, rows, usableHeight);
 
-    const effectiveGap = heightWithGap > 0 ? gap : 0;
-    const slotHeight = (usableHeight - effectiveGap * Math.max(0, slotsPerPage - 1)) / slotsPerPage;
+    const slotWidth = (usableWidth - effectiveGapX * Math.max(0, columns - 1)) / columns;
+    const slotHeight = (usableHeight - effectiveGapY * Math.max(0, rows - 1)) / rows;
 
     return new Array(slotsPerPage).fill(null).map((_, index) => {
+      const row = Math.floor(index / columns);
+      const column = index % columns;
       return {
         index,
-        x: SAFE_MARGIN,
-        y: SAFE_MARGIN + index * (slotHeight + effectiveGap),
-        width: A4_WIDTH - 2 * SAFE_MARGIN,
+        row,
+        column,
+        x: margins.left + column * (slotWidth + effectiveGapX),
+        y: margins.bottom + row * (slotHeight + effectiveGapY),
+        width: slotWidth,
         height: slotHeight,
+        ...(grid?.rotation ? { rotation: slotRotationAt(grid.rotation, { index, row, column }) } : {}),
       };
     });
   }
 
+  // Object-relative drawing on a rotated slot runs inside a frame that maps the upright object onto
+  // the slot footprint (see slotRotation.js). Returns the placement to draw against; upright slots
+  // pass through untouched. Every enterObjectFrame must be paired with exitObjectFrame.
+  enterObjectFrame(page, placement) {
+    if (!placement?.rotation) return placement;
+    page.pushOperators(pushGraphicsState(), concatTransformationMatrix(...objectFrameMatrix(placement, this.calibration)));
+    return uprightPlacement(placement);
+  }
+
+  exitObjectFrame(page, placement) {
+    if (placement?.rotation) page.pushOperators(popGraphicsState());
+  }
+
   /**
    * GOLDEN_RENDER_PIPELINE
    *
@@ -510,6 +732,9 @@ export class VectorLayoutEngine {
    * - Visual changes
    */
   async createSinglePage(metadata, pageIdx = 0) {
+    // layout.repeatPerPage 'auto' becomes a concrete layout before anything reads it.
+    metadata = resolveAutoSlots(metadata);
+
     const { sourcePdfKey, ticketCrop, layout, series, watermarks } = metadata;
 
     if (!ticketCrop || typeof ticketCrop !== 'object') {
@@ -555,15 +780,62 @@ export class VectorLayoutEngine {
     this.embeddedFonts.clear();
     this._seriesPipelineFinalLogged = false;
 
-    const page = pdf.addPage([A4_WIDTH, A4_HEIGHT]);
-
-    const repeatPerPage = Math.max(1, Math.min(16, Number(layout?.repeatPerPage || 4)));
+    const pageSize = resolveLayoutPageSize(layout);
+    const page = pdf.addPage([pageSize.width, pageSize.height]);
+
+    const repeatPerPage = slotsPerSheet(layout);
+    const slotGrid = this.resolveSlotGrid(layout, repeatPerPage, pageSize);
+    const numbering = { order: resolveNumberingOrder(layout), totalPages: resolveLayoutTotalPages(metadata) ?? 1 };
+    const jobContext = this.resolveJobContext(metadata);
+    const fields = Array.isArray(metadata.fields) ? metadata.fields : [];
+    const printMarks = resolvePrintMarks(layout);
+    const trackingDots = resolveTrackingDots(layout);
+    const cutLines = resolveCutLines(layout);
+    const duplex = resolveDuplex(metadata);
+    const backPdf = duplex ? await this.loadTemplatePdfOnce(duplex.sourcePdfKey) : null;
+    const designs = resolveDesigns(metadata, repeatPerPage);
+    const designSources = designs ? await this.loadDesignSources(designs, ticketCropPt) : null;
+    const slotSources = designs
+      ? this.sheetDesignSources(designs, designSources, { pageIdx, repeatPerPage, numbering, columns: slotGrid.columns })
+      : null;
 
-    const slotPlacements = await this.drawSourceFragment(page, sourcePdf, ticketCropPt, pageIdx, repeatPerPage, layout.slotSpacingPt || 0);
+    const slotPlacements = await this.drawSourceFragment(page, sourcePdf, ticketCropPt, pageIdx, repeatPerPage, layout.slotSpacingPt || 0, pageSize, slotGrid, slotSources);
+    if (printMarks?.bleedPt > 0) {
+      await this.drawBleedExtension(page, sourcePdf, ticketCropPt, slotPlacements, printMarks.bleedPt, designSources);
+    }
 
     await this.drawSvgWatermarks(page, watermarks.filter((w) => w.type === 'svg'), ticketCropPt, slotPlacements);
+    await this.drawSecurityWatermarks(page, watermarks, slotPlacements, jobContext);
     await this.drawTextWatermarks(page, watermarks.filter((w) => w.type === 'text'), ticketCropPt, slotPlacements);
-    await this.drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements);
+    const renderedSerials = await this.drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements, numbering, jobContext);
+    if (fields.length > 0) {
+      const dataset = await this.loadDatasetOnce(metadata.dataset?.key);
+      await this.drawDatasetFields(page, fields, dataset, pageIdx, repeatPerPage, slotPlacements, numbering, metadata.dataset?.rowOffset);
+    }
+    if (trackingDots) {
+      await this.drawTrackingDots(page, trackingDots, pageSize, {
+        jobId: jobContext.jobId,
+        sheet: pageIdx + 1,
+        serial: renderedSerials[0]?.[0] ?? '',
+      });
+    }
+    if (cutLines) {
+      this.drawCutLines(page, cutLines, slotPlacements);
+    }
+    if (printMarks) {
+      await this.drawPrintMarks(page, printMarks, slotPlacements, pageSize, {
+        jobId: jobContext.jobId,
+        pageIdx,
+        totalPages: numbering.totalPages,
+        serials: renderedSerials[0] || [],
+        serialsContiguous: numbering.order !== 'cut-and-stack',
+      });
+    }
+    if (duplex) {
+      await this.drawBackSide(pdf, backPdf, duplex, slotPlacements, pageSize, {
+        series, pageIdx, repeatPerPage, numbering, jobContext,
+      });
+    }
 
     return pdf;
   }
@@ -583,8 +855,13 @@ export class VectorLayoutEngine {
    * - Render math changes
    * - Visual changes
    */
-  // Create A4 page with vector-only content
-  async createPage(metadata) {
+  // Create sheet pages (A4 unless layout.pageSize says otherwise) with vector-only content.
+  // pageRange { start, end } renders only sheets start..end-1 of the job (numbering still spans the
+  // whole job), so very large jobs can be rendered and streamed group by group.
+  async createPage(metadata, pageRange = null) {
+    // layout.repeatPerPage 'auto' becomes a concrete layout before anything reads it.
+    metadata = resolveAutoSlots(metadata);
+
     const { sourcePdfKey, ticketCrop, layout, series, watermarks } = metadata;
 
     if (!ticketCrop || typeof ticketCrop !== 'object') {
@@ -627,40 +904,93 @@ export class VectorLayoutEngine {
       alignment: ticketCrop.alignment ?? null,
     };
     
-    // Create new A4 PDF
+    // Create new output PDF
     const pdf = await PDFDocument.create();
     this.pdfDoc = pdf;
     this.embeddedFonts.clear();
     this._seriesPipelineFinalLogged = false;
     
-    // Process each page
-    const totalPages = Number(layout.totalPages || 1);
-
-    const repeatPerPage = Math.max(1, Math.min(16, Number(layout?.repeatPerPage || 4)));
+    // Process each page (derived from bounded series when layout.totalPages is omitted)
+    const totalPages = resolveLayoutTotalPages(metadata) ?? 1;
+
+    const repeatPerPage = slotsPerSheet(layout);
+    const pageSize = resolveLayoutPageSize(layout);
+    const slotGrid = this.resolveSlotGrid(layout, repeatPerPage, pageSize);
+    const numbering = { order: resolveNumberingOrder(layout), totalPages };
+    const jobContext = this.resolveJobContext(metadata);
+    const fields = Array.isArray(metadata.fields) ? metadata.fields : [];
+    const dataset = fields.length > 0 ? await this.loadDatasetOnce(metadata.dataset?.key) : null;
+    const printMarks = resolvePrintMarks(layout);
+    const trackingDots = resolveTrackingDots(layout);
+    const cutLines = resolveCutLines(layout);
+    const duplex = resolveDuplex(metadata);
+    const backPdf = duplex ? await this.loadTemplatePdfOnce(duplex.sourcePdfKey) : null;
+    const designs = resolveDesigns(metadata, repeatPerPage);
+    const designSources = designs ? await this.loadDesignSources(designs, ticketCropPt) : null;
     
-    for (let pageIdx = 0; pageIdx < totalPages; pageIdx++) {
-      const page = pdf.addPage([A4_WIDTH, A4_HEIGHT]);
+    const firstPage = Math.max(0, Number(pageRange?.start ?? 0));
+    const endPage = Math.min(totalPages, Number(pageRange?.end ?? totalPages));
+    for (let pageIdx = firstPage; pageIdx < endPage; pageIdx++) {
+      const page = pdf.addPage([pageSize.width, pageSize.height]);
+      const slotSources = designs
+        ? this.sheetDesignSources(designs, designSources, { pageIdx, repeatPerPage, numbering, columns: slotGrid.columns })
+        : null;
       
-      // Draw order: Source PDF → SVG watermarks → Text watermarks → Series numbers
-      const slotPlacements = await this.drawSourceFragment(page, sourcePdf, ticketCropPt, pageIdx, repeatPerPage, layout.slotSpacingPt || 0);
+      // Draw order: Source PDF (or per-slot designs) → Bleed → SVG watermarks → Guilloche / microtext → Text watermarks → Series numbers → Dataset fields → Tracking dots → Cut lines → Printer's marks → Back sheet
+      const slotPlacements = await this.drawSourceFragment(page, sourcePdf, ticketCropPt, pageIdx, repeatPerPage, layout.slotSpacingPt || 0, pageSize, slotGrid, slotSources);
+      if (printMarks?.bleedPt > 0) {
+        await this.drawBleedExtension(page, sourcePdf, ticketCropPt, slotPlacements, printMarks.bleedPt, designSources);
+      }
 
       await this.drawSvgWatermarks(page, watermarks.filter(w => w.type === 'svg'), ticketCropPt, slotPlacements);
+      await this.drawSecurityWatermarks(page, watermarks, slotPlacements, jobContext);
       await this.drawTextWatermarks(page, watermarks.filter(w => w.type === 'text'), ticketCropPt, slotPlacements);
-      await this.drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements);
+      const renderedSerials = await this.drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements, numbering, jobContext);
+      if (dataset) {
+        await this.drawDatasetFields(page, fields, dataset, pageIdx, repeatPerPage, slotPlacements, numbering, metadata.dataset?.rowOffset);
+      }
+      if (trackingDots) {
+        await this.drawTrackingDots(page, trackingDots, pageSize, {
+          jobId: jobContext.jobId,
+          sheet: pageIdx + 1,
+          serial: renderedSerials[0]?.[0] ?? '',
+        });
+      }
+      if (cutLines) {
+        this.drawCutLines(page, cutLines, slotPlacements);
+      }
+      if (printMarks) {
+        await this.drawPrintMarks(page, printMarks, slotPlacements, pageSize, {
+          jobId: jobContext.jobId,
+          pageIdx,
+          totalPages,
+          serials: renderedSerials[0] || [],
+          serialsContiguous: numbering.order !== 'cut-and-stack',
+        });
+      }
+      if (duplex) {
+        await this.drawBackSide(pdf, backPdf, duplex, slotPlacements, pageSize, {
+          series, pageIdx, repeatPerPage, numbering, jobContext,
+        });
+      }
     }
     
     return pdf;
   }
 
+  // Sheets the job renders (totalPages, or derived from bounded series), after 'auto' slots are resolved.
+  resolveSheetCount(metadata) {
+    return resolveLayoutTotalPages(resolveAutoSlots(metadata)) ?? 1;
+  }
+
   async loadSourcePdf(sourcePdfKey) {
     return this.loadTemplatePdfOnce(sourcePdfKey);
   }
 
-  async drawSourceFragment(page, sourcePdf, ticketCrop, _pageIdx, repeatPerPage, slotSpacingPt = 0) {
-    // 1) Original PDF page is copied into the output PDF
+  // Copies the crop's source page into the output PDF and embeds only the cropped region.
+  async embedSourceCrop(sourcePdf, ticketCrop) {
     const [srcPage] = await this.pdfDoc.copyPages(sourcePdf, [ticketCrop.pageIndex]);
 
-    const srcWidth = snap(srcPage.getWidth());
     const srcHeight = snap(srcPage.getHeight());
 
     const cropLeft = snap(ticketCrop.x);
@@ -686,6 +1016,22 @@ export class VectorLayoutEngine {
       height: cropHeight,
     };
 
+    return { embedded, renderBBox };
+  }
+
+  // slotSources (mixed designs) holds one { id, sourcePdf, ticketCrop } or null per slot; null slots and a
+  // missing list draw the main crop. Each crop is embedded once per sheet, the first time a slot needs it.
+  async drawSourceFragment(page, sourcePdf, ticketCrop, _pageIdx, repeatPerPage, slotSpacingPt = 0, pageSize = DEFAULT_PAGE_SIZE, slotGrid = null, slotSources = null) {
+    const embeds = new Map();
+    const sourceAt = async (index) => {
+      const design = slotSources?.[index] ?? null;
+      const key = design ? design.id : null;
+      if (!embeds.has(key)) {
+        embeds.set(key, await this.embedSourceCrop(design ? design.sourcePdf : sourcePdf, design ? design.ticketCrop : ticketCrop));
+      }
+      return { design: key, ...embeds.get(key) };
+    };
+
     const widthMm = this._finiteOrNull(ticketCrop?.widthMm);
     const heightMm = this._finiteOrNull(ticketCrop?.heightMm);
     const xMm = this._finiteOrNull(ticketCrop?.xMm);
@@ -730,6 +1076,13 @@ export class VectorLayoutEngine {
     const slotsPerPage = Math.max(1, Math.min(16, Number(repeatPerPage || 1)));
 
     if (isUserMmMode) {
+      if (slotGrid?.rotation && rotationDeg) {
+        throw new Error('MM_LAYOUT_INVALID: layout.slotRotation / layout.nesting cannot be combined with ticketCrop.rotationDeg');
+      }
+      if (slotGrid?.rotation && !hasUniformFootprint(slotGrid.rotation)) {
+        throw new Error('MM_LAYOUT_INVALID: mm placement needs every slot quarter-turned or none');
+      }
+
       const objectWidthMm = Number(widthMm);
       const objectHeightMm = Number(heightMm);
       const startXmm = xMm !== null ? Number(xMm) : 0;
@@ -740,45 +1093,76 @@ export class VectorLayoutEngine {
       const objectWidthPt = snap(this.mmToPt(widthMm));
       const objectHeightPt = snap(this.mmToPt(heightMm));
 
-      const sourceWidthPt = snap(Number(renderBBox.width));
-      const sourceHeightPt = snap(Number(renderBBox.height));
-
-      // SCALING LOGIC (FINAL)
-      let scaleX = snap(objectWidthPt / Math.max(0.0001, sourceWidthPt));
-      let scaleY = snap(objectHeightPt / Math.max(0.0001, sourceHeightPt));
-
-      const finalWidthPt = sourceWidthPt * scaleX;
-      const finalHeightPt = sourceHeightPt * scaleY;
-      console.log('[MM_PRINT_ASSERT]', {
-        requestedWidthPt: objectWidthPt,
-        requestedHeightPt: objectHeightPt,
-        finalWidthPt,
-        finalHeightPt,
-        diffWidthPt: Math.abs(finalWidthPt - objectWidthPt),
-        diffHeightPt: Math.abs(finalHeightPt - objectHeightPt),
-      });
-
-      // cutMarginMm = gap between consecutive objects
+      // SCALING LOGIC (FINAL), per crop: every design is stretched to the same object size.
+      const scaleFor = (renderBBox) => {
+        const sourceWidthPt = snap(Number(renderBBox.width));
+        const sourceHeightPt = snap(Number(renderBBox.height));
+
+        const scaleX = snap(objectWidthPt / Math.max(0.0001, sourceWidthPt));
+        const scaleY = snap(objectHeightPt / Math.max(0.0001, sourceHeightPt));
+
+        const finalWidthPt = sourceWidthPt * scaleX;
+        const finalHeightPt = sourceHeightPt * scaleY;
+        console.log('[MM_PRINT_ASSERT]', {
+          requestedWidthPt: objectWidthPt,
+          requestedHeightPt: objectHeightPt,
+          finalWidthPt,
+          finalHeightPt,
+          diffWidthPt: Math.abs(finalWidthPt - objectWidthPt),
+          diffHeightPt: Math.abs(finalHeightPt - objectHeightPt),
+        });
+        return { scaleX, scaleY };
+      };
+      const scales = new Map();
+
+      // Quarter-turned slots step by the rotated footprint.
+      const quarterTurn = slotGrid?.rotation
+        ? isQuarterTurn(slotRotationAt(slotGrid.rotation, { index: 0, row: 0, column: 0 }))
+        : false;
+      const footprintWidthMm = quarterTurn ? objectHeightMm : objectWidthMm;
+      const footprintHeightMm = quarterTurn ? objectWidthMm : objectHeightMm;
+      const footprintWidthPt = quarterTurn ? objectHeightPt : objectWidthPt;
+      const footprintHeightPt = quarterTurn ? objectWidthPt : objectHeightPt;
+
+      // cutMarginMm = gap between consecutive objects (both axes when laid out as a grid)
       // NOT page margin, NOT object padding, NOT slot spacing
-      const verticalStepMm = objectHeightMm + cutGapMm;
+      const verticalStepMm = footprintHeightMm + cutGapMm;
+      const horizontalStepMm = footprintWidthMm + cutGapMm;
 
-      const A4_HEIGHT_MM = (A4_HEIGHT * 25.4) / 72;
-      const lastObjectBottomMm = startYmm + (slotsPerPage - 1) * verticalStepMm + objectHeightMm;
-      if (lastObjectBottomMm > A4_HEIGHT_MM) {
+      // mm mode keeps its top-down origin: row 0 is the top row.
+      const columns = Math.max(1, Number(slotGrid?.columns || 1));
+      const usedRows = Math.ceil(slotsPerPage / columns);
+
+      const pageHeightMm = ptToMm(pageSize.height);
+      const lastObjectBottomMm = startYmm + (usedRows - 1) * verticalStepMm + footprintHeightMm;
+      if (lastObjectBottomMm > pageHeightMm) {
         throw new Error('Objects do not fit on page');
       }
+      if (columns > 1) {
+        const lastObjectRightMm = startXmm + (columns - 1) * horizontalStepMm + footprintWidthMm;
+        if (lastObjectRightMm > ptToMm(pageSize.width)) {
+          throw new Error('Objects do not fit on page');
+        }
+      }
 
       console.log('[OBJECT_REPEAT_FIX]', {
         objectHeightMm,
         cutMarginMm: cutGapMm,
         verticalStepMm,
+        columns,
         objectsPerPage: slotsPerPage,
         lastObjectBottomMm,
       });
 
       for (let i = 0; i < slotsPerPage; i += 1) {
-        const objXmm = startXmm;
-        const objYmm = startYmm + i * verticalStepMm;
+        const row = Math.floor(i / columns);
+        const column = i % columns;
+        const objXmm = startXmm + column * horizontalStepMm;
+        const objYmm = startYmm + row * verticalStepMm;
+
+        const { design, embedded, renderBBox } = await sourceAt(i);
+        if (!scales.has(design)) scales.set(design, scaleFor(renderBBox));
+        const { scaleX, scaleY } = scales.get(design);
 
         const slotScaleX = scaleX;
         const slotScaleY = scaleY;
@@ -787,7 +1171,37 @@ export class VectorLayoutEngine {
         const finalHeightPt = objectHeightPt;
 
         const drawX = snap(this.mmToPt(objXmm));
-        const drawY = snap(A4_HEIGHT - this.mmToPt(objYmm) - finalHeightPt);
+        const drawY = snap(pageSize.height - this.mmToPt(objYmm) - footprintHeightPt);
+
+        const placement = {
+          index: i,
+          row,
+          column,
+          slotLeft: drawX,
+          slotBottom: drawY,
+          slotWidth: footprintWidthPt,
+          slotHeight: footprintHeightPt,
+          contentLeft: drawX,
+          contentBottom: drawY,
+          contentWidth: footprintWidthPt,
+          contentHeight: footprintHeightPt,
+          pageHeightPt: pageSize.height,
+          objectMm: {
+            xMm: objXmm,
+            yMm: objYmm,
+            widthMm: footprintWidthMm,
+            heightMm: footprintHeightMm,
+          },
+          objectBBoxPt: {
+            width: snap(Number(renderBBox.width)),
+            height: snap(Number(renderBBox.height)),
+          },
+          slotScale: scaleY,
+          slotScaleX: scaleX,
+          slotScaleY: scaleY,
+          ...(slotGrid?.rotation ? { rotation: slotRotationAt(slotGrid.rotation, { index: i, row, column }) } : {}),
+          ...(design ? { design } : {}),
+        };
 
         const calibratedOrigin = coordinateConverter.applyCalibration(drawX, drawY, this.calibration);
 
@@ -818,49 +1232,35 @@ export class VectorLayoutEngine {
           });
           page.pushOperators(popGraphicsState());
         } else {
+          this.enterObjectFrame(page, placement);
           page.drawPage(embedded, {
             x: snap(calibratedOrigin.x),
             y: snap(calibratedOrigin.y),
             xScale: slotScaleX,
             yScale: slotScaleY,
           });
+          this.exitObjectFrame(page, placement);
         }
 
-        slotPlacements.push({
-          index: i,
-          slotLeft: drawX,
-          slotBottom: drawY,
-          slotWidth: objectWidthPt,
-          slotHeight: objectHeightPt,
-          contentLeft: drawX,
-          contentBottom: drawY,
-          contentWidth: objectWidthPt,
-          contentHeight: objectHeightPt,
-          objectMm: {
-            xMm: objXmm,
-            yMm: objYmm,
-            widthMm: objectWidthMm,
-            heightMm: objectHeightMm,
-          },
-          objectBBoxPt: {
-            width: snap(Number(renderBBox.width)),
-            height: snap(Number(renderBBox.height)),
-          },
-          slotScale: scaleY,
-          slotScaleX: scaleX,
-          slotScaleY: scaleY,
-        });
+        slotPlacements.push(placement);
       }
 
       return slotPlacements;
     }
 
-    const slotLayoutPlan = this.buildSlotLayoutPlan(slotsPerPage, slotSpacingPt);
+    const slotLayoutPlan = this.buildSlotLayoutPlan(slotsPerPage, slotSpacingPt, pageSize, slotGrid);
 
     for (const layoutSlot of slotLayoutPlan) {
+      const { design, embedded, renderBBox } = await sourceAt(layoutSlot.index);
+
+      // A quarter-turned object occupies its slot with width and height swapped.
+      const quarterTurn = isQuarterTurn(layoutSlot.rotation);
+      const footprintWidth = quarterTurn ? renderBBox.height : renderBBox.width;
+      const footprintHeight = quarterTurn ? renderBBox.width : renderBBox.height;
+
       const slotScale = snap(Math.min(
-        Number(layoutSlot.width) / Math.max(0.0001, Number(renderBBox.width)),
-        Number(layoutSlot.height) / Math.max(0.0001, Number(renderBBox.height))
+        Number(layoutSlot.width) / Math.max(0.0001, Number(footprintWidth)),
+        Number(layoutSlot.height) / Math.max(0.0001, Number(footprintHeight))
       ));
 
       if (_pageIdx === 0) {
@@ -880,10 +1280,34 @@ export class VectorLayoutEngine {
       const drawX = snap(Number(layoutSlot.x) - Number(renderBBox.x) * slotScale);
       const drawY = snap(
         Number(layoutSlot.y) +
-          (Number(layoutSlot.height) - Number(renderBBox.height) * slotScale) -
+          (Number(layoutSlot.height) - Number(footprintHeight) * slotScale) -
           Number(renderBBox.y) * slotScale
       );
 
+      const placement = {
+        index: layoutSlot.index,
+        row: layoutSlot.row,
+        column: layoutSlot.column,
+        slotLeft: layoutSlot.x,
+        slotBottom: layoutSlot.y,
+        slotWidth: layoutSlot.width,
+        slotHeight: layoutSlot.height,
+        contentLeft: drawX,
+        contentBottom: drawY,
+        contentWidth: snap(Number(footprintWidth) * slotScale),
+        contentHeight: snap(Number(footprintHeight) * slotScale),
+        objectBBoxPt: {
+          width: snap(Number(renderBBox.width)),
+          height: snap(Number(renderBBox.height)),
+        },
+        slotScale,
+        slotScaleX: slotScale,
+        slotScaleY: slotScale,
+        ...(layoutSlot.rotation !== undefined ? { rotation: layoutSlot.rotation } : {}),
+        ...(design ? { design } : {}),
+      };
+
+      this.enterObjectFrame(page, placement);
       const calibratedOrigin = coordinateConverter.applyCalibration(drawX, drawY, this.calibration);
       page.drawPage(embedded, {
         x: snap(calibratedOrigin.x),
@@ -891,6 +1315,7 @@ export class VectorLayoutEngine {
         xScale: slotScale,
         yScale: slotScale,
       });
+      this.exitObjectFrame(page, placement);
 
       if (_pageIdx === 0) {
         console.log('[BACKEND:OBJECT_RENDERED_IN_SLOT]', {
@@ -903,29 +1328,268 @@ export class VectorLayoutEngine {
         });
       }
 
-      slotPlacements.push({
-        index: layoutSlot.index,
-        slotLeft: layoutSlot.x,
-        slotBottom: layoutSlot.y,
-        slotWidth: layoutSlot.width,
-        slotHeight: layoutSlot.height,
-        contentLeft: drawX,
-        contentBottom: drawY,
-        contentWidth: snap(Number(renderBBox.width) * slotScale),
-        contentHeight: snap(Number(renderBBox.height) * slotScale),
-        objectBBoxPt: {
-          width: snap(Number(renderBBox.width)),
-          height: snap(Number(renderBBox.height)),
-        },
-        slotScale,
-        slotScaleX: slotScale,
-        slotScaleY: slotScale,
-      });
+      slotPlacements.push(placement);
     }
 
     return slotPlacements;
   }
 
+  // Bleed: the source artwork around each ticket crop is drawn again, scaled like the slot, and clipped
+  // to the ring between trim and trim + bleed. The slot itself (already drawn) is never repainted.
+  // Slots drawn from a design (placement.design) bleed that design's artwork.
+  async drawBleedExtension(page, sourcePdf, ticketCrop, slotPlacements, bleedPt, designSources = null) {
+    const rotationDeg = this._finiteOrNull(ticketCrop?.rotationDeg);
+    if (rotationDeg) {
+      // Rotated objects have no axis-aligned ring in source space; marks and boxes still apply.
+      return;
+    }
+
+    const placements = Array.isArray(slotPlacements) ? slotPlacements : [];
+    if (placements.length === 0) return;
+
+    if (this._bleedEmbedDoc !== this.pdfDoc) {
+      this._bleedEmbedDoc = this.pdfDoc;
+      this._bleedEmbeds = new Map();
+    }
+
+    const calibrated = placements.map((p) => {
+      const origin = coordinateConverter.applyCalibration(Number(p.contentLeft), Number(p.contentBottom), this.calibration);
+      return { ...p, contentLeft: origin.x, contentBottom: origin.y };
+    });
+
+    for (let i = 0; i < calibrated.length; i += 1) {
+      const placement = calibrated[i];
+      const scaleX = Number(placement.slotScaleX);
+      const scaleY = Number(placement.slotScaleY);
+      if (!(scaleX > 0) || !(scaleY > 0)) continue;
+
+      const design = placement.design ? designSources.get(placement.design) : null;
+      const key = `${design?.id ?? ''}:${scaleX}:${scaleY}`;
+      if (!this._bleedEmbeds.has(key)) {
+        this._bleedEmbeds.set(
+          key,
+          await this.embedBleedSource(
+            design ? design.sourcePdf : sourcePdf,
+            design ? design.ticketCrop : ticketCrop,
+            bleedPt / scaleX,
+            bleedPt / scaleY
+          )
+        );
+      }
+      const { embedded, padLeft, padBottom } = this._bleedEmbeds.get(key);
+
+      page.pushOperators(pushGraphicsState());
+      for (const box of bleedRingRects(calibrated, i, bleedPt)) {
+        page.pushOperators(rectangle(snap(box.x), snap(box.y), snap(box.width), snap(box.height)));
+      }
+      page.pushOperators(clipEvenOdd(), endPath());
+      this.enterObjectFrame(page, placements[i]);
+      page.drawPage(embedded, {
+        x: snap(Number(placement.contentLeft) - padLeft * scaleX),
+        y: snap(Number(placement.contentBottom) - padBottom * scaleY),
+        xScale: scaleX,
+        yScale: scaleY,
+      });
+      this.exitObjectFrame(page, placements[i]);
+      page.pushOperators(popGraphicsState());
+    }
+  }
+
+  // Ticket crop grown by the bleed (source units), limited to the source page.
+  async embedBleedSource(sourcePdf, ticketCrop, padX, padY) {
+    const [srcPage] = await this.pdfDoc.copyPages(sourcePdf, [ticketCrop.pageIndex]);
+    const srcWidth = snap(srcPage.getWidth());
+    const srcHeight = snap(srcPage.getHeight());
+
+    const cropLeft = snap(ticketCrop.x);
+    const cropBottom = snap(srcHeight - ticketCrop.y - ticketCrop.height);
+    const cropRight = snap(cropLeft + snap(ticketCrop.width));
+    const cropTop = snap(cropBottom + snap(ticketCrop.height));
+
+    const padLeft = snap(Math.min(padX, cropLeft));
+    const padBottom = snap(Math.min(padY, cropBottom));
+    const embedBox = {
+      left: snap(cropLeft - padLeft),
+      bottom: snap(cropBottom - padBottom),
+      right: snap(Math.min(srcWidth, cropRight + padX)),
+      top: snap(Math.min(srcHeight, cropTop + padY)),
+    };
+
+    const embedded = await this.pdfDoc.embedPage(srcPage, embedBox);
+    return { embedded, padLeft, padBottom };
+  }
+
+  // Back sheet for duplex output: the back crop is stretched into each mirrored front object box.
+  async drawBackSide(pdf, backPdf, duplex, frontPlacements, pageSize, { series, pageIdx, repeatPerPage, numbering, jobContext }) {
+    if (duplex.pageIndex >= backPdf.getPageCount()) {
+      throw new Error(`back.pageIndex ${duplex.pageIndex} does not exist in the back template`);
+    }
+
+    const page = pdf.addPage([pageSize.width, pageSize.height]);
+    const [srcPage] = await this.pdfDoc.copyPages(backPdf, [duplex.pageIndex]);
+    const srcWidth = snap(srcPage.getWidth());
+    const srcHeight = snap(srcPage.getHeight());
+
+    const cropLeft = snap(duplex.ticketCrop.xRatio * srcWidth);
+    const cropWidth = snap(duplex.ticketCrop.widthRatio * srcWidth);
+    const cropHeight = snap(duplex.ticketCrop.heightRatio * srcHeight);
+    const cropBottom = snap(srcHeight - duplex.ticketCrop.yRatio * srcHeight - cropHeight);
+
+    const embedded = await this.pdfDoc.embedPage(srcPage, {
+      left: cropLeft,
+      bottom: cropBottom,
+      right: snap(cropLeft + cropWidth),
+      top: snap(cropBottom + cropHeight),
+    });
+
+    const backPlacements = (Array.isArray(frontPlacements) ? frontPlacements : [])
+      .map((placement) => mirrorPlacement(placement, pageSize, duplex.flip));
+
+    for (const backPlacement of backPlacements) {
+      const placement = this.enterObjectFrame(page, backPlacement);
+      const calibratedOrigin = coordinateConverter.applyCalibration(Number(placement.contentLeft), Number(placement.contentBottom), this.calibration);
+      page.drawPage(embedded, {
+        x: snap(calibratedOrigin.x),
+        y: snap(calibratedOrigin.y),
+        xScale: snap(Number(placement.contentWidth) / Math.max(0.0001, cropWidth)),
+        yScale: snap(Number(placement.contentHeight) / Math.max(0.0001, cropHeight)),
+      });
+      this.exitObjectFrame(page, backPlacement);
+    }
+
+    // Same slot index and sheet as the front, so each ticket carries the same value on both sides.
+    if (duplex.repeatSeries) {
+      const backSeries = mirrorSeries(series, duplex.flip);
+      await this.drawSeriesNumbers(page, backSeries, pageIdx, repeatPerPage, backPlacements, numbering, jobContext, duplex.flip);
+    }
+
+    return page;
+  }
+
+  // Yellow tracking dots over the whole sheet (see trackingDots.js). One tile per sheet is built as a
+  // form XObject and repeated from the top-left page corner; calibration does not apply.
+  async drawTrackingDots(page, trackingDots, pageSize, { jobId, sheet, serial }) {
+    if (!jobId) {
+      throw new Error('layout.trackingDots requires metadata.jobId');
+    }
+
+    const cells = buildTrackingTile(encodeTrackingPayload({ jobId, sheet, serial }));
+    const { pitchPt, dotPt } = trackingDots;
+    const tileWidth = snap(TRACKING_TILE_COLUMNS * pitchPt);
+    const tileHeight = snap(TRACKING_TILE_ROWS * pitchPt);
+
+    const tileDoc = await PDFDocument.create();
+    const tilePage = tileDoc.addPage([tileWidth, tileHeight]);
+    tilePage.pushOperators(setFillingCmykColor(0, 0, 1, 0));
+    for (const [col, row] of cells) {
+      const cx = (col + 0.5) * pitchPt;
+      const cy = tileHeight - (row + 0.5) * pitchPt;
+      tilePage.pushOperators(rectangle(snap(cx - dotPt / 2), snap(cy - dotPt / 2), dotPt, dotPt));
+    }
+    tilePage.pushOperators(fill());
+    const tile = await this.pdfDoc.embedPage(tilePage);
+
+    for (let top = pageSize.height; top > 0; top -= tileHeight) {
+      for (let left = 0; left < pageSize.width; left += tileWidth) {
+        page.drawPage(tile, { x: snap(left), y: snap(top - tileHeight) });
+      }
+    }
+  }
+
+  // Cut / perforation guides over the finished tickets (see cutLines.js). Calibrated like the slots.
+  drawCutLines(page, cutLines, slotPlacements) {
+    const placements = (Array.isArray(slotPlacements) ? slotPlacements : []).map((p) => {
+      const content = coordinateConverter.applyCalibration(Number(p.contentLeft), Number(p.contentBottom), this.calibration);
+      const slot = coordinateConverter.applyCalibration(Number(p.slotLeft ?? p.contentLeft), Number(p.slotBottom ?? p.contentBottom), this.calibration);
+      return { ...p, contentLeft: content.x, contentBottom: content.y, slotLeft: slot.x, slotBottom: slot.y };
+    });
+    if (placements.length === 0) return;
+
+    const { around, between } = planCutLines(placements, cutLines);
+
+    page.pushOperators(
+      pushGraphicsState(),
+      setLineWidth(cutLines.strokeWidthPt),
+      setDashPattern(cutLines.dash, 0),
+      ...this.cutLineStrokeColor(page, cutLines),
+    );
+    for (const box of around) {
+      page.pushOperators(rectangle(snap(box.x), snap(box.y), snap(box.width), snap(box.height)));
+    }
+    for (const [x1, y1, x2, y2] of between) {
+      page.pushOperators(moveTo(snap(x1), snap(y1)), lineTo(snap(x2), snap(y2)));
+    }
+    page.pushOperators(stroke(), popGraphicsState());
+  }
+
+  // Spot strokes use a Separation colour space (magenta alternate), registered once per output document.
+  cutLineStrokeColor(page, cutLines) {
+    if (!cutLines.spotColor) {
+      return [setStrokingColor(parseColor(cutLines.color))];
+    }
+
+    if (this._spotColorDoc !== this.pdfDoc) {
+      this._spotColorDoc = this.pdfDoc;
+      this._spotColorSpaces = new Map();
+    }
+    if (!this._spotColorSpaces.has(cutLines.spotColor)) {
+      const context = this.pdfDoc.context;
+      const tint = context.obj({ FunctionType: 2, Domain: [0, 1], C0: [0, 0, 0, 0], C1: SPOT_ALTERNATE_CMYK, N: 1 });
+      const separation = context.obj([PDFName.of('Separation'), PDFName.of(cutLines.spotColor), PDFName.of('DeviceCMYK'), tint]);
+      this._spotColorSpaces.set(cutLines.spotColor, context.register(separation));
+    }
+
+    const { Resources } = page.node.normalizedEntries();
+    let colorSpaces = Resources.lookupMaybe(PDFName.of('ColorSpace'), PDFDict);
+    if (!colorSpaces) {
+      colorSpaces = this.pdfDoc.context.obj({});
+      Resources.set(PDFName.of('ColorSpace'), colorSpaces);
+    }
+    const key = colorSpaces.uniqueKey('Spot');
+    colorSpaces.set(key, this._spotColorSpaces.get(cutLines.spotColor));
+
+    return [
+      PDFOperator.of(PDFOperatorNames.StrokingColorspace, [key]),
+      PDFOperator.of(PDFOperatorNames.StrokingColorN, [PDFNumber.of(1)]),
+    ];
+  }
+
+  // Marks are drawn last, outside every slot's trim (+ bleed), and never move the slots themselves.
+  async drawPrintMarks(page, printMarks, slotPlacements, pageSize, slugInfo) {
+    const placements = (Array.isArray(slotPlacements) ? slotPlacements : []).map((p) => {
+      const origin = coordinateConverter.applyCalibration(Number(p.contentLeft), Number(p.contentBottom), this.calibration);
+      return { ...p, contentLeft: origin.x, contentBottom: origin.y };
+    });
+    if (placements.length === 0) return;
+
+    const artBox = unionBox(placements.map(trimBoxOf));
+    setPageBoxes(page, artBox, pageSize, printMarks);
+
+    if (printMarks.cropMarks) {
+      drawCropMarks(page, placements, printMarks);
+    }
+    if (printMarks.registration) {
+      drawRegistrationTargets(page, artBox, pageSize, printMarks);
+    }
+    if (printMarks.colorBars) {
+      drawColorBars(page, artBox, printMarks);
+    }
+    if (printMarks.slug) {
+      const { jobId, pageIdx, totalPages, serials, serialsContiguous = true } = slugInfo;
+      const parts = [`Job ${jobId || '-'}`, `Sheet ${pageIdx + 1}/${totalPages}`];
+      // serials are in series order; a cut-and-stack sheet holds one number per stack, not a range.
+      if (serials.length > 0) {
+        parts.push(
+          serialsContiguous
+            ? `Serial ${serials[0]} - ${serials[serials.length - 1]}`
+            : `Serials ${serials.join(', ')}`
+        );
+      }
+      const font = await this.embedFont('Helvetica');
+      drawSlugLine(page, artBox, pageSize, printMarks, font, parts.join('   '));
+    }
+  }
+
   async drawSvgWatermarks(page, svgWatermarks, ticketCrop, slotPlacements) {
     for (const watermark of svgWatermarks) {
       const sanitized = svgRenderer.sanitizeSvg(watermark.svgPath);
@@ -936,7 +1600,8 @@ export class VectorLayoutEngine {
         ? (Array.isArray(slotPlacements) ? slotPlacements : [])
         : [null];
 
-      for (const placement of targets) {
+      for (const target of targets) {
+        const placement = this.enterObjectFrame(page, target);
         const baseX = Number(placement?.contentLeft ?? placement?.slotLeft ?? 0);
         const baseY = Number(placement?.contentBottom ?? placement?.slotBottom ?? 0);
         const baseW = Number(placement?.contentWidth ?? placement?.slotWidth ?? 0);
@@ -1022,10 +1687,113 @@ export class VectorLayoutEngine {
           page.drawSvgPath(path, options);
         }
         page.pushOperators(popGraphicsState());
+        this.exitObjectFrame(page, target);
+      }
+    }
+  }
+
+  // Guilloche and microtext always cover each rendered object (position / rotate do not apply).
+  // The seed defaults to the job id so every job gets its own pattern.
+  async drawSecurityWatermarks(page, watermarks, slotPlacements, jobContext = null) {
+    const placements = Array.isArray(slotPlacements) ? slotPlacements : [];
+
+    for (let index = 0; index < watermarks.length; index += 1) {
+      const watermark = watermarks[index];
+      if (watermark.type !== 'guilloche' && watermark.type !== 'microtext') continue;
+
+      const seed = String(watermark.seed ?? jobContext?.jobId ?? watermark.id);
+      const color = parseColor(watermark.color || '#000000');
+      const opacity = watermark.opacity ?? 1;
+
+      if (watermark.type === 'guilloche') {
+        for (const target of placements) {
+          const placement = uprightPlacement(target);
+          const width = snap(Number(placement.contentWidth));
+          const height = snap(Number(placement.contentHeight));
+          const embedded = await this.embedGuilloche(watermark, index, seed, width, height, color);
+          this.enterObjectFrame(page, target);
+          const origin = coordinateConverter.applyCalibration(Number(placement.contentLeft), Number(placement.contentBottom), this.calibration);
+          page.drawPage(embedded, { x: snap(origin.x), y: snap(origin.y), opacity });
+          this.exitObjectFrame(page, target);
+        }
+        continue;
+      }
+
+      const font = await this.embedFont(watermark.fontFamily || 'Helvetica');
+      const size = Number(watermark.fontSize || 1);
+      const inset = Number(watermark.insetPt ?? 1);
+      const ascent = font.heightAtSize(size, { descender: false });
+      const edge = inset + ascent;
+      const runs = new Map();
+      const runFor = (length) => {
+        const key = snap(length);
+        if (!runs.has(key)) {
+          runs.set(key, buildMicrotextRun({
+            text: watermark.value,
+            length: key,
+            seed,
+            widthOf: (ch) => font.widthOfTextAtSize(ch, size),
+          }));
+        }
+        return runs.get(key);
+      };
+
+      for (const target of placements) {
+        const placement = this.enterObjectFrame(page, target);
+        const origin = coordinateConverter.applyCalibration(Number(placement.contentLeft), Number(placement.contentBottom), this.calibration);
+        const left = Number(origin.x);
+        const bottom = Number(origin.y);
+        const right = left + Number(placement.contentWidth);
+        const top = bottom + Number(placement.contentHeight);
+        const across = Number(placement.contentWidth) - 2 * edge;
+        const down = Number(placement.contentHeight) - 2 * edge;
+
+        // Clockwise from top-left; glyph tops face outward on every edge.
+        const runsOnEdges = [
+          { x: left + edge, y: top - edge, rotate: 0, length: across },
+          { x: right - edge, y: top - edge, rotate: -90, length: down },
+          { x: right - edge, y: bottom + edge, rotate: 180, length: across },
+          { x: left + edge, y: bottom + edge, rotate: 90, length: down },
+        ];
+        for (const run of runsOnEdges) {
+          const text = runFor(run.length);
+          if (!text) continue;
+          page.drawText(text, {
+            x: snap(run.x),
+            y: snap(run.y),
+            size,
+            font,
+            color,
+            opacity,
+            rotate: degrees(run.rotate),
+          });
+        }
+        this.exitObjectFrame(page, target);
       }
     }
   }
 
+  // One form XObject per pattern and object size, reused by every slot on every sheet of the job.
+  async embedGuilloche(watermark, index, seed, width, height, color) {
+    if (this._guillocheDoc !== this.pdfDoc) {
+      this._guillocheDoc = this.pdfDoc;
+      this._guilloches = new Map();
+    }
+    const key = `${index}:${seed}:${width}:${height}`;
+    if (!this._guilloches.has(key)) {
+      const patternDoc = await PDFDocument.create();
+      const patternPage = patternDoc.addPage([width, height]);
+      patternPage.drawSvgPath(buildGuillochePath({ width, height, seed, lines: watermark.lines ?? 16 }), {
+        x: 0,
+        y: height,
+        borderColor: color,
+        borderWidth: Number(watermark.strokeWidth ?? 0.25),
+      });
+      this._guilloches.set(key, await this.pdfDoc.embedPage(patternPage));
+    }
+    return this._guilloches.get(key);
+  }
+
   async drawTextWatermarks(page, textWatermarks, ticketCrop, slotPlacements) {
     for (const watermark of textWatermarks) {
       const font = await this.embedFont(watermark.fontFamily || 'Helvetica');
@@ -1035,7 +1803,8 @@ export class VectorLayoutEngine {
         ? (Array.isArray(slotPlacements) ? slotPlacements : [])
         : [null];
 
-      for (const placement of targets) {
+      for (const target of targets) {
+        const placement = this.enterObjectFrame(page, target);
         const baseX = Number(placement?.contentLeft ?? placement?.slotLeft ?? 0);
         const baseY = Number(placement?.contentBottom ?? placement?.slotBottom ?? 0);
         const baseW = Number(placement?.contentWidth ?? placement?.slotWidth ?? 0);
@@ -1069,16 +1838,33 @@ export class VectorLayoutEngine {
           color: parseColor(originalColor),
           opacity: watermark.opacity || 1 // Preserve original opacity
         });
+        this.exitObjectFrame(page, target);
       }
     }
   }
 
-  async drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements) {
+  // backFlip (duplex back sheets) mirrors every text box inside its object, see mirrorTextSlot.
+  async drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements, numbering = null, jobContext = null, backFlip = null) {
+    const indexFor = createSlotIndexer({
+      order: numbering?.order,
+      repeatPerPage,
+      totalPages: numbering?.totalPages,
+      placements: slotPlacements,
+    });
+
+    // Per series, the values drawn on this sheet in series order (not slot order).
+    const renderedSerials = [];
+
     for (const seriesConfig of series) {
       const font = await this.embedFont(seriesConfig.font || 'Helvetica');
+      const rendered = [];
+      const renderedPositions = [];
+      const formatSeriesValue = createSeriesFormatter(seriesConfig, { fallbackDate: jobContext?.createdAt ?? null });
+      const valueSource = createSeriesValueSource(seriesConfig);
       
       const placements = Array.isArray(slotPlacements) ? slotPlacements : [];
       const slotDefs = Array.isArray(seriesConfig.slots) ? seriesConfig.slots : [];
+      const linkedSlots = Array.isArray(seriesConfig.linkedSlots) ? seriesConfig.linkedSlots : [];
       const maxSlots = Math.min(placements.length, Number(repeatPerPage) || placements.length);
 
       for (let slotIdx = 0; slotIdx < maxSlots; slotIdx++) {
@@ -1087,189 +1873,358 @@ export class VectorLayoutEngine {
 
         if (!slot) continue;
         
-        // O(1) arithmetic progression
-        const globalIdx = pageIdx * repeatPerPage + slotIdx;
-        const seriesNumber = seriesConfig.start + (globalIdx * seriesConfig.step);
-        const padLength = Number(seriesConfig.padLength || 0);
-        const prefix = typeof seriesConfig.prefix === 'string' ? seriesConfig.prefix : '';
-        const rawDigits = String(seriesNumber);
-        const seriesValue = padLength > 0
-          ? (() => {
-              const padded = rawDigits.padStart(padLength, '0');
-              const finalDigits = padded.length > padLength ? padded.slice(padded.length - padLength) : padded;
-              return `${prefix}${finalDigits}`;
-            })()
-          : `${prefix}${rawDigits}`;
-        
-        const xRatio = Number(slot.xRatio);
-        const yRatio = Number(slot.yRatio);
-
-        const objectMm = placement && placement.objectMm && typeof placement.objectMm === 'object' ? placement.objectMm : null;
-        const objectXmm = objectMm ? Number(objectMm.xMm) : NaN;
-        const objectYmm = objectMm ? Number(objectMm.yMm) : NaN;
-        const objectWidthMm = objectMm ? Number(objectMm.widthMm) : NaN;
-        const objectHeightMm = objectMm ? Number(objectMm.heightMm) : NaN;
-
-        if (
-          Number.isFinite(objectXmm) &&
-          Number.isFinite(objectYmm) &&
-          Number.isFinite(objectWidthMm) &&
-          Number.isFinite(objectHeightMm) &&
-          objectWidthMm > 0 &&
-          objectHeightMm > 0
-        ) {
-          const xMmAbs = objectXmm + objectWidthMm * xRatio;
-          const yMmAbs = objectYmm + objectHeightMm * yRatio;
-
-          const rawX = snap(this.mmToPt(xMmAbs));
-          const rawY = snap(A4_HEIGHT - this.mmToPt(yMmAbs));
-          const calibratedSeries = coordinateConverter.applyCalibration(rawX, rawY, this.calibration);
-          const drawX = snap(calibratedSeries.x);
-          const drawY = snap(calibratedSeries.y);
-
-          const fontSizePt = Number(seriesConfig.fontSize);
-          if (!Number.isFinite(fontSizePt) || fontSizePt <= 0) {
-            throw new Error('Invalid fontSize for series placement');
-          }
+        // O(#ranges) lookup (plain progressions stay O(1)); layout.numberingOrder decides how slots map to positions
+        const globalIdx = indexFor(pageIdx, slotIdx);
+        const seriesNumber = valueSource.valueAt(globalIdx);
+        // Bounded series (values list / end) leave the trailing slots of the last sheet unnumbered.
+        if (seriesNumber === null) continue;
+        const seriesValue = formatSeriesValue(seriesNumber);
+        rendered.push(seriesValue);
+        renderedPositions.push(globalIdx);
+        const frame = this.enterObjectFrame(page, placement);
+
+        if (seriesConfig.barcode) {
+          this.drawSeriesBarcode(page, seriesConfig.barcode, seriesValue, frame);
+        }
 
-          const letterFontSizes = Array.isArray(seriesConfig.letterFontSizes)
-            ? seriesConfig.letterFontSizes
-            : null;
-          const letterOffsets = Array.isArray(seriesConfig.letterOffsets)
-            ? seriesConfig.letterOffsets
-            : null;
-
-          const seriesColor = parseColor(seriesConfig.color || '#000000');
-
-          if (letterFontSizes && letterFontSizes.length > 0) {
-            let cursorX = drawX;
-            for (let li = 0; li < seriesValue.length; li += 1) {
-              const ch = seriesValue[li];
-              const size = Number(letterFontSizes[li] || fontSizePt);
-              const offsetY = Number(letterOffsets?.[li] || 0);
-              page.drawText(ch, {
-                x: cursorX,
-                y: drawY + offsetY,
-                size,
-                font,
-                color: seriesColor,
-              });
-              cursorX = cursorX + font.widthOfTextAtSize(ch, size);
-            }
-          } else {
-            page.drawText(seriesValue, {
-              x: drawX,
-              y: drawY,
-              size: fontSizePt,
-              font,
-              color: seriesColor,
-            });
+        if (seriesConfig.qr) {
+          if (!jobContext?.jobId) {
+            throw new Error('series.qr requires metadata.jobId for ticket signing');
           }
-          continue;
+          const qrText = buildTicketQrPayload({ jobId: jobContext.jobId, serial: seriesValue });
+          this.drawSeriesBarcode(page, { ...seriesConfig.qr, type: 'qrcode' }, qrText, frame);
         }
+        
+        const textSlotFor = (textSlot) =>
+          backFlip ? this.mirroredTextSlot(seriesConfig, seriesValue, textSlot, frame, font, backFlip) : textSlot;
+        this.drawSlotText(page, seriesConfig, seriesValue, textSlotFor(slot), frame, font, slotIdx);
 
-        const objectBBoxPt = {
-          width: Number(placement?.objectBBoxPt?.width ?? 0),
-          height: Number(placement?.objectBBoxPt?.height ?? 0),
-        };
-        if (!Number.isFinite(objectBBoxPt.width) || !Number.isFinite(objectBBoxPt.height) || objectBBoxPt.width <= 0 || objectBBoxPt.height <= 0) {
-          throw new Error('Invalid objectBBoxPt for series placement');
+        // Stub / counterfoil copies: same value, same object, own position, size and rotation.
+        for (const linked of linkedSlots) {
+          this.drawSlotText(page, seriesConfig, seriesValue, textSlotFor(linked), frame, font, slotIdx);
         }
+        this.exitObjectFrame(page, placement);
+      }
 
-        const textTopLeftPt = {
-          x: xRatio * objectBBoxPt.width,
-          y: yRatio * objectBBoxPt.height,
-        };
+      renderedSerials.push(
+        rendered
+          .map((value, i) => ({ value, position: renderedPositions[i] }))
+          .sort((a, b) => a.position - b.position)
+          .map((entry) => entry.value)
+      );
+    }
 
-        const fontSizePt = Number(seriesConfig.fontSize);
-        const slotScaleX = Number(placement?.slotScaleX ?? placement?.slotScale ?? 0);
-        const slotScaleY = Number(placement?.slotScaleY ?? placement?.slotScale ?? 0);
-        if (!Number.isFinite(slotScaleX) || slotScaleX <= 0) {
-          throw new Error('Invalid slotScaleX for series placement');
-        }
-        if (!Number.isFinite(slotScaleY) || slotScaleY <= 0) {
-          throw new Error('Invalid slotScaleY for series placement');
-        }
-        const finalFontSizePt = fontSizePt * slotScaleY;
+    return renderedSerials;
+  }
 
-        const metrics = fontMetricsCache.getMetrics(
-          seriesConfig.font || 'Helvetica',
-          fontSizePt,
-          font
-        );
+  // Variable data: dataset row (rowOffset + globalIdx) feeds each bound field. Rows run out → slot left blank.
+  async drawDatasetFields(page, fields, dataset, pageIdx, repeatPerPage, slotPlacements, numbering = null, rowOffset = 0) {
+    const indexFor = createSlotIndexer({
+      order: numbering?.order,
+      repeatPerPage,
+      totalPages: numbering?.totalPages,
+      placements: slotPlacements,
+    });
+    const firstRow = Number(rowOffset || 0);
 
-        const baselineY = textTopLeftPt.y + metrics.ascent;
-
-        const objectLeft = Number(placement?.contentLeft ?? placement?.slotLeft ?? 0);
-        const objectBottom = Number(placement?.contentBottom ?? placement?.slotBottom ?? 0);
-
-        const objectTopY = objectBottom + (objectBBoxPt.height * slotScaleY);
-        const seriesPageX = objectLeft + (textTopLeftPt.x * slotScaleX);
-        const seriesPageY = objectTopY - (baselineY * slotScaleY);
-
-        const calibratedSeries = coordinateConverter.applyCalibration(seriesPageX, seriesPageY, this.calibration);
-        const drawX = calibratedSeries.x;
-        const drawY = calibratedSeries.y;
-
-        if (!this._seriesPipelineFinalLogged && slotIdx === 0) {
-          console.log('[SERIES_PIPELINE_FINAL]', {
-            receivedRatio: { xRatio, yRatio },
-            objectBBoxPt,
-            textTopLeftPt,
-            fontMetrics: {
-              ascent: metrics.ascent,
-              descent: metrics.descent,
-              height: metrics.height,
-            },
-            baselineY,
-            slotScaleX,
-            slotScaleY,
-            finalDrawPt: { x: drawX, y: drawY },
-          });
-          this._seriesPipelineFinalLogged = true;
-        }
-        
-        const letterFontSizes = Array.isArray(seriesConfig.letterFontSizes)
-          ? seriesConfig.letterFontSizes
-          : null;
-        const letterOffsets = Array.isArray(seriesConfig.letterOffsets)
-          ? seriesConfig.letterOffsets
-          : null;
-
-        if (letterFontSizes && letterFontSizes.length > 0) {
-          let cursorX = drawX;
-          for (let li = 0; li < seriesValue.length; li += 1) {
-            const ch = seriesValue[li];
-            const size = Number(letterFontSizes[li] || fontSizePt) * slotScaleY;
-            const offsetY = Number(letterOffsets?.[li] || 0);
-
-            const baseline = drawY + offsetY;
-
-            // Preserve original series color
-            const seriesColor = parseColor(seriesConfig.color || '#000000'); // Default to black if not specified
-            page.drawText(ch, {
-              x: cursorX,
-              y: baseline,
-              size,
-              font,
-              color: seriesColor,
-            });
-
-            cursorX = cursorX + font.widthOfTextAtSize(ch, size);
-          }
-        } else {
-          // Draw series number as vector with original color preservation
-          const seriesColor = parseColor(seriesConfig.color || '#000000'); // Default to black if not specified
-          page.drawText(seriesValue, {
-            x: drawX,
-            y: drawY,
-            size: finalFontSizePt,
+    // Checked before anything is drawn: a standard font throws on the first non-WinAnsi cell.
+    const fontErrors = await datasetFontErrors(dataset, fields);
+    if (fontErrors.length > 0) {
+      throw new Error(`Invalid vector metadata: ${fontErrors[0]}`);
+    }
+
+    for (const field of fields) {
+      const font = await this.embedFont(field.font || 'Helvetica');
+      const readCell = createColumnReader(dataset, field.column);
+
+      const placements = Array.isArray(slotPlacements) ? slotPlacements : [];
+      const slotDefs = Array.isArray(field.slots) ? field.slots : [];
+      const maxSlots = Math.min(placements.length, Number(repeatPerPage) || placements.length);
+
+      for (let slotIdx = 0; slotIdx < maxSlots; slotIdx++) {
+        const slot = slotDefs.length === 1 ? slotDefs[0] : slotDefs[slotIdx];
+        if (!slot) continue;
+
+        const text = readCell(firstRow + indexFor(pageIdx, slotIdx));
+        if (!text) continue;
+
+        const frame = this.enterObjectFrame(page, placements[slotIdx]);
+        this.drawSlotText(page, field, text, slot, frame, font, slotIdx);
+        this.exitObjectFrame(page, placements[slotIdx]);
+      }
+    }
+  }
+
+  // Draws one text value at an object-relative slot. Shared by series numbers and dataset fields so
+  // both use the exact same mm-mode / ratio-mode positioning and font metrics.
+  // A slot may carry its own fontSize (per-letter sizes are then ignored) and rotation.
+  drawSlotText(page, textConfig, text, slot, placement, font, slotIdx) {
+    const xRatio = Number(slot.xRatio);
+    const yRatio = Number(slot.yRatio);
+    const ownFontSize = slot.fontSize !== undefined && slot.fontSize !== null;
+    const { cos, sin, options: rotateOptions } = slotRotation(slot);
+
+    const objectMm = placement && placement.objectMm && typeof placement.objectMm === 'object' ? placement.objectMm : null;
+    const objectXmm = objectMm ? Number(objectMm.xMm) : NaN;
+    const objectYmm = objectMm ? Number(objectMm.yMm) : NaN;
+    const objectWidthMm = objectMm ? Number(objectMm.widthMm) : NaN;
+    const objectHeightMm = objectMm ? Number(objectMm.heightMm) : NaN;
+
+    if (
+      Number.isFinite(objectXmm) &&
+      Number.isFinite(objectYmm) &&
+      Number.isFinite(objectWidthMm) &&
+      Number.isFinite(objectHeightMm) &&
+      objectWidthMm > 0 &&
+      objectHeightMm > 0
+    ) {
+      const xMmAbs = objectXmm + objectWidthMm * xRatio;
+      const yMmAbs = objectYmm + objectHeightMm * yRatio;
+
+      const rawX = snap(this.mmToPt(xMmAbs));
+      const rawY = snap(placement.pageHeightPt - this.mmToPt(yMmAbs));
+      const calibratedSeries = coordinateConverter.applyCalibration(rawX, rawY, this.calibration);
+      const drawX = snap(calibratedSeries.x);
+      const drawY = snap(calibratedSeries.y);
+
+      const fontSizePt = Number(ownFontSize ? slot.fontSize : textConfig.fontSize);
+      if (!Number.isFinite(fontSizePt) || fontSizePt <= 0) {
+        throw new Error('Invalid fontSize for series placement');
+      }
+
+      const letterFontSizes = !ownFontSize && Array.isArray(textConfig.letterFontSizes)
+        ? textConfig.letterFontSizes
+        : null;
+      const letterOffsets = Array.isArray(textConfig.letterOffsets)
+        ? textConfig.letterOffsets
+        : null;
+
+      const seriesColor = parseColor(textConfig.color || '#000000');
+
+      if (letterFontSizes && letterFontSizes.length > 0) {
+        let cursorX = drawX;
+        let cursorY = drawY;
+        for (let li = 0; li < text.length; li += 1) {
+          const ch = text[li];
+          const size = Number(letterFontSizes[li] || fontSizePt);
+          const offsetY = Number(letterOffsets?.[li] || 0);
+          page.drawText(ch, {
+            x: cursorX - offsetY * sin,
+            y: cursorY + offsetY * cos,
+            size,
             font,
-            color: seriesColor
+            color: seriesColor,
+            ...rotateOptions,
           });
+          const advance = font.widthOfTextAtSize(ch, size);
+          cursorX = cursorX + advance * cos;
+          cursorY = cursorY + advance * sin;
         }
+      } else {
+        page.drawText(text, {
+          x: drawX,
+          y: drawY,
+          size: fontSizePt,
+          font,
+          color: seriesColor,
+          ...rotateOptions,
+        });
+      }
+      return;
+    }
+
+    const objectBBoxPt = {
+      width: Number(placement?.objectBBoxPt?.width ?? 0),
+      height: Number(placement?.objectBBoxPt?.height ?? 0),
+    };
+    if (!Number.isFinite(objectBBoxPt.width) || !Number.isFinite(objectBBoxPt.height) || objectBBoxPt.width <= 0 || objectBBoxPt.height <= 0) {
+      throw new Error('Invalid objectBBoxPt for series placement');
+    }
+
+    const textTopLeftPt = {
+      x: xRatio * objectBBoxPt.width,
+      y: yRatio * objectBBoxPt.height,
+    };
+
+    const fontSizePt = Number(ownFontSize ? slot.fontSize : textConfig.fontSize);
+    const slotScaleX = Number(placement?.slotScaleX ?? placement?.slotScale ?? 0);
+    const slotScaleY = Number(placement?.slotScaleY ?? placement?.slotScale ?? 0);
+    if (!Number.isFinite(slotScaleX) || slotScaleX <= 0) {
+      throw new Error('Invalid slotScaleX for series placement');
+    }
+    if (!Number.isFinite(slotScaleY) || slotScaleY <= 0) {
+      throw new Error('Invalid slotScaleY for series placement');
+    }
+    const finalFontSizePt = fontSizePt * slotScaleY;
+
+    const metrics = fontMetricsCache.getMetrics(
+      textConfig.font || 'Helvetica',
+      fontSizePt,
+      font
+    );
+
+    const baselineY = textTopLeftPt.y + metrics.ascent;
+
+    const objectLeft = Number(placement?.contentLeft ?? placement?.slotLeft ?? 0);
+    const objectBottom = Number(placement?.contentBottom ?? placement?.slotBottom ?? 0);
+
+    const objectTopY = objectBottom + (objectBBoxPt.height * slotScaleY);
+    const seriesPageX = objectLeft + (textTopLeftPt.x * slotScaleX);
+    const seriesPageY = objectTopY - (baselineY * slotScaleY);
+
+    const calibratedSeries = coordinateConverter.applyCalibration(seriesPageX, seriesPageY, this.calibration);
+    const drawX = calibratedSeries.x;
+    const drawY = calibratedSeries.y;
+
+    if (!this._seriesPipelineFinalLogged && slotIdx === 0) {
+      console.log('[SERIES_PIPELINE_FINAL]', {
+        receivedRatio: { xRatio, yRatio },
+        objectBBoxPt,
+        textTopLeftPt,
+        fontMetrics: {
+          ascent: metrics.ascent,
+          descent: metrics.descent,
+          height: metrics.height,
+        },
+        baselineY,
+        slotScaleX,
+        slotScaleY,
+        finalDrawPt: { x: drawX, y: drawY },
+      });
+      this._seriesPipelineFinalLogged = true;
+    }
+    
+    const letterFontSizes = !ownFontSize && Array.isArray(textConfig.letterFontSizes)
+      ? textConfig.letterFontSizes
+      : null;
+    const letterOffsets = Array.isArray(textConfig.letterOffsets)
+      ? textConfig.letterOffsets
+      : null;
+
+    if (letterFontSizes && letterFontSizes.length > 0) {
+      let cursorX = drawX;
+      let cursorY = drawY;
+      for (let li = 0; li < text.length; li += 1) {
+        const ch = text[li];
+        const size = Number(letterFontSizes[li] || fontSizePt) * slotScaleY;
+        const offsetY = Number(letterOffsets?.[li] || 0);
+
+        // Preserve original series color
+        const seriesColor = parseColor(textConfig.color || '#000000'); // Default to black if not specified
+        page.drawText(ch, {
+          x: cursorX - offsetY * sin,
+          y: cursorY + offsetY * cos,
+          size,
+          font,
+          color: seriesColor,
+          ...rotateOptions,
+        });
+
+        const advance = font.widthOfTextAtSize(ch, size);
+        cursorX = cursorX + advance * cos;
+        cursorY = cursorY + advance * sin;
       }
+    } else {
+      // Draw series number as vector with original color preservation
+      const seriesColor = parseColor(textConfig.color || '#000000'); // Default to black if not specified
+      page.drawText(text, {
+        x: drawX,
+        y: drawY,
+        size: finalFontSizePt,
+        font,
+        color: seriesColor,
+        ...rotateOptions,
+      });
+    }
+  }
+
+  // Measures the text drawSlotText would draw for `slot` and returns the slot that draws it behind, on the
+  // back of a duplex sheet. Invalid geometry is passed through for drawSlotText to reject.
+  mirroredTextSlot(textConfig, text, slot, placement, font, flip) {
+    const ownFontSize = slot.fontSize !== undefined && slot.fontSize !== null;
+    const fontSizePt = Number(ownFontSize ? slot.fontSize : textConfig.fontSize);
+
+    // Same frame choice as drawSlotText: mm placement draws from the baseline at the slot point, ratio
+    // placement from the top of the text, scaled with the slot.
+    const objectMm = placement?.objectMm && typeof placement.objectMm === 'object' ? placement.objectMm : null;
+    const mmFrame =
+      objectMm !== null &&
+      Number.isFinite(Number(objectMm.xMm)) &&
+      Number.isFinite(Number(objectMm.yMm)) &&
+      Number(objectMm.widthMm) > 0 &&
+      Number(objectMm.heightMm) > 0;
+    const scale = mmFrame ? 1 : Number(placement?.slotScaleY ?? placement?.slotScale ?? 0);
+    const objectWidthPt = mmFrame
+      ? this.mmToPt(objectMm.widthMm)
+      : Number(placement?.objectBBoxPt?.width ?? 0) * Number(placement?.slotScaleX ?? placement?.slotScale ?? 0);
+    const objectHeightPt = mmFrame ? this.mmToPt(objectMm.heightMm) : Number(placement?.objectBBoxPt?.height ?? 0) * scale;
+    if (!(fontSizePt > 0) || !(scale > 0) || !(objectWidthPt > 0) || !(objectHeightPt > 0)) return slot;
+
+    const metrics = fontMetricsCache.getMetrics(textConfig.font || 'Helvetica', fontSizePt, font);
+    const letterFontSizes = !ownFontSize && Array.isArray(textConfig.letterFontSizes) && textConfig.letterFontSizes.length > 0
+      ? textConfig.letterFontSizes
+      : null;
+    let widthPt = 0;
+    if (letterFontSizes) {
+      for (let li = 0; li < text.length; li += 1) {
+        widthPt += font.widthOfTextAtSize(text[li], Number(letterFontSizes[li] || fontSizePt) * scale);
+      }
+    } else {
+      widthPt = font.widthOfTextAtSize(text, fontSizePt * scale);
+    }
+
+    return mirrorTextSlot(slot, flip, {
+      objectWidthPt,
+      objectHeightPt,
+      baselineOffsetPt: mmFrame ? 0 : metrics.ascent * scale,
+      ascentPt: metrics.ascent * scale,
+      descentPt: metrics.descent * scale,
+      widthPt,
+    });
+  }
+
+  // Job identity used by per-ticket content (signed QR, dated series formats). Injected by the worker.
+  resolveJobContext(metadata) {
+    return {
+      jobId: typeof metadata?.jobId === 'string' && metadata.jobId ? metadata.jobId : null,
+      createdAt: metadata?.jobCreatedAt ?? null,
+    };
+  }
+
+  // Barcode box is object-relative (ratios of the rendered object), independent of the text slot.
+  // Drawn as filled vector paths: no raster images, identical bytes for identical input.
+  drawSeriesBarcode(page, barcodeConfig, seriesValue, placement) {
+    const contentLeft = Number(placement?.contentLeft ?? placement?.slotLeft);
+    const contentBottom = Number(placement?.contentBottom ?? placement?.slotBottom);
+    const contentWidth = Number(placement?.contentWidth ?? placement?.slotWidth);
+    const contentHeight = Number(placement?.contentHeight ?? placement?.slotHeight);
+    if (
+      !Number.isFinite(contentLeft) ||
+      !Number.isFinite(contentBottom) ||
+      !Number.isFinite(contentWidth) ||
+      !Number.isFinite(contentHeight) ||
+      contentWidth <= 0 ||
+      contentHeight <= 0
+    ) {
+      throw new Error('Invalid object box for series barcode placement');
     }
+
+    const boxWidth = snap(contentWidth * Number(barcodeConfig.widthRatio));
+    const boxHeight = snap(contentHeight * Number(barcodeConfig.heightRatio));
+    const boxLeft = contentLeft + contentWidth * Number(barcodeConfig.xRatio);
+    const boxTop = contentBottom + contentHeight - contentHeight * Number(barcodeConfig.yRatio);
+
+    const encoded = encodeBarcode(barcodeConfig.type, seriesValue);
+    const svgPath = barcodeToSvgPath(encoded, boxWidth, boxHeight);
+    if (!svgPath) return;
+
+    const calibratedOrigin = coordinateConverter.applyCalibration(boxLeft, boxTop, this.calibration);
+    page.drawSvgPath(svgPath, {
+      x: snap(calibratedOrigin.x),
+      y: snap(calibratedOrigin.y),
+      color: parseColor(barcodeConfig.color || '#000000'),
+      borderWidth: 0,
+    });
   }
 
   async embedFont(fontFamily) {
@@ -1286,18 +2241,21 @@ export class VectorLayoutEngine {
       throw new Error('PDFDocument not initialized');
     }
 
-    const name = (fontFamily || '').toLowerCase();
-    if (name.includes('times')) return this.pdfDoc.embedFont(StandardFonts.TimesRoman);
-    if (name.includes('courier')) return this.pdfDoc.embedFont(StandardFonts.Courier);
-    return this.pdfDoc.embedFont(StandardFonts.Helvetica);
+    const registered = await resolveRegisteredFont(fontFamily);
+    if (registered) {
+      this.pdfDoc.registerFontkit(fontkit);
+      return this.pdfDoc.embedFont(registered.bytes, { subset: registered.subset });
+    }
+
+    return this.pdfDoc.embedFont(standardFontOrFallback(fontFamily));
   }
 
   validateMetadata(metadata) {
     const { ticketCrop, layout, series, watermarks } = metadata;
 
     // ticketCrop is defined in SOURCE PDF coordinate space.
-    // It must NOT be validated against A4 bounds.
-    // A4 constraints are enforced only during layout in drawSourceFragment().
+    // It must NOT be validated against sheet bounds.
+    // Sheet constraints are enforced only during layout in drawSourceFragment().
     
     // Validate series slots are now object-relative (no page bounds validation needed)
     // Series slots should be relative to object bbox, not page coordinates
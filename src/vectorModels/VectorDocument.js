@@ -56,6 +56,12 @@ const documentSchema = new mongoose.Schema(
         },
         rotation: { type: Number, default: 0 },
       },
+      // Named sheet ("A4", "SRA3", ...) or { widthMm, heightMm }; null means A4.
+      pageSize: { type: mongoose.Schema.Types.Mixed, default: null },
+      orientation: { type: String, enum: ['portrait', 'landscape', null], default: null },
+      // { topMm, rightMm, bottomMm, leftMm } checked against printerProfile; null keeps the 10 mm default.
+      margins: { type: mongoose.Schema.Types.Mixed, default: null },
+      printerProfile: { type: String, default: null },
     },
 
     svgNormalizeStatus: {
@@ -85,6 +91,8 @@ const documentSchema = new mongoose.Schema(
 
     colorMode: { type: String, enum: ['RGB', 'CMYK'], default: 'RGB' },
     exportVersion: { type: Number, default: 0 },
+    // Per-recipient stamp on served bytes; null falls back to FORENSIC_WATERMARK_MODE.
+    forensicWatermark: { type: String, enum: ['off', 'footer', 'overlay', 'both'], default: null },
     
     // Optional layout support fields for deterministic rendering (backward-compatible)
     objectHeight: { type: Number, optional: true }, // Height of detected object for layout calculations
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Custom font registry entry. Fonts are immutable once uploaded: nameKey is unique and never
+// re-pointed, so caches keyed by font name (embedding bytes, FontMetricsCache) cannot go stale.
+const fontSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    nameKey: { type: String, required: true, unique: true, index: true },
+    fileKey: { type: String, required: true },
+    format: { type: String, enum: ['ttf', 'otf'], required: true },
+    outlines: { type: String, enum: ['truetype', 'cff'], required: true },
+    postscriptName: { type: String, default: null },
+    familyName: { type: String, default: null },
+    sizeBytes: { type: Number, default: 0 },
+    sha256: { type: String, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true, collection: 'vector_fonts' }
+);
+
+const VectorFont = mongoose.models.VectorFont || mongoose.model('VectorFont', fontSchema);
+
+export default VectorFont;
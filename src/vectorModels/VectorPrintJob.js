@@ -19,6 +19,22 @@ const lifecycleHistorySchema = new mongoose.Schema(
   { _id: false }
 );
 
+// One file of a split output (metadata.outputSplit); sheets.end is exclusive.
+const outputPartSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, default: null },
+    fileName: { type: String, required: true },
+    sheets: {
+      start: { type: Number, required: true },
+      end: { type: Number, required: true },
+    },
+    firstSerial: { type: String, default: null },
+    lastSerial: { type: String, default: null },
+  },
+  { _id: false }
+);
+
 const printJobSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -58,6 +74,7 @@ const printJobSchema = new mongoose.Schema(
       key: { type: String, default: null },
       url: { type: String, default: null },
       expiresAt: { type: Date, default: null, index: true },
+      parts: { type: [outputPartSchema], default: [] },
     },
 
     error: {
@@ -3,7 +3,9 @@ import { connection, VECTOR_PDF_QUEUE_NAME } from '../../queues/vectorQueue.js';
 import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
 import { validateVectorMetadata } from '../vector/validation.js';
 import { vectorLayoutEngine } from '../vector/vectorLayoutEngine.js';
-import { uploadToS3WithKey } from '../services/s3.js';
+import { uploadToS3WithKey, createMultipartUploadToS3, downloadFromS3, deleteS3Prefix } from '../services/s3.js';
+import { createStreamingPdfWriter } from '../vector/streamingPdfWriter.js';
+import { resolveOutputSplit, planOutputParts } from '../vector/outputSplit.js';
 import { stableStringify, verifyJobPayload, getStableHmacPayload } from '../services/hmac.js';
 import os from 'os';
 import { traceLog, traceWarn, traceError } from '../services/traceLog.js';
@@ -29,6 +31,16 @@ for (const key of REQUIRED_ENV) {
 
 const DIAG_BULLMQ = String(process.env.DIAG_BULLMQ || '') === 'true';
 
+// Jobs with more sheets than this are rendered in groups and streamed to S3 instead of built in memory.
+const STREAM_MIN_SHEETS = Math.max(1, Number(process.env.VECTOR_STREAM_MIN_SHEETS || 50));
+const STREAM_GROUP_SHEETS = Math.max(1, Number(process.env.VECTOR_STREAM_GROUP_SHEETS || 25));
+
+// Sheets per 'batch' child job; jobs that fit in one batch (or VECTOR_BATCH_SIZE=0) run as a single merge job.
+const BATCH_SIZE = Math.max(0, Math.floor(Number(process.env.VECTOR_BATCH_SIZE ?? 25)) || 0);
+
+// Per-job scratch space for rendered pages and groups; removed after merge and on final failure.
+const tmpPrefix = (printJobId) => `documents/tmp/${String(printJobId)}/`;
+
 let vectorFlowProducer = null;
 let warnedRedisUnavailable = false;
 let workersStarted = false;
@@ -50,6 +62,13 @@ const lifecycleLog = (event, { traceId, printJobId, documentId, status, payload
 const getDocumentIdFromJobDoc = (jobDoc) =>
   String(jobDoc?.metadata?.documentId || jobDoc?.metadata?.sourcePdfKey || jobDoc?.sourcePdfKey || '').trim();
 
+// The engine only sees metadata; job identity is attached for signed ticket QR codes and dated series formats.
+const getRenderMetadata = (jobDoc) => ({
+  ...(jobDoc?.metadata || {}),
+  jobId: jobDoc._id.toString(),
+  jobCreatedAt: jobDoc.createdAt instanceof Date ? jobDoc.createdAt.toISOString() : null,
+});
+
 const mapErrorCode = (err, fallback) => {
   const msg = String(err?.message || '');
   if (msg === 'SVG_NORMALIZE_TIMEOUT') return 'TIMEOUT';
@@ -164,18 +183,46 @@ export const enqueueVectorJobFlow = async ({ printJobId, totalPages, traceId })
     throw new Error('Redis unavailable: cannot enqueue vector jobs (BullMQ disabled)');
   }
 
-  // Phase-3: template-based generation runs as a single job.
-  // No per-page/per-batch worker fan-out.
-  const total = Number(totalPages || 1);
+  // Pages are split into 'batch' children that any worker can pick up; the parent 'merge' job runs once
+  // every batch is done and stitches their pages together. A failed batch fails the merge with it.
+  // The sheet count comes from the job's metadata when it can be read (callers often pass 1).
+  const jobDoc = await VectorPrintJob.findById(printJobId).exec().catch(() => null);
+  let total = Number(totalPages || 1);
+  if (jobDoc) {
+    try {
+      total = vectorLayoutEngine.resolveSheetCount(getRenderMetadata(jobDoc));
+    } catch {
+      // invalid metadata fails in the worker with a proper error code
+    }
+  }
+
+  const children = [];
+  if (BATCH_SIZE > 0 && total > BATCH_SIZE) {
+    for (let startPage = 0; startPage < total; startPage += BATCH_SIZE) {
+      children.push({
+        name: 'batch',
+        queueName: VECTOR_PDF_QUEUE_NAME,
+        data: { printJobId, traceId, startPage, endPage: Math.min(total, startPage + BATCH_SIZE), totalPages: total },
+        opts: { attempts: 1, failParentOnFailure: true },
+      });
+    }
+  }
 
   const flowSpec = {
     name: 'merge',
     queueName: VECTOR_PDF_QUEUE_NAME,
     data: { printJobId, traceId, totalPages: total },
     opts: { attempts: 1 },
+    ...(children.length > 0 ? { children } : {}),
   };
 
-  lifecycleLog('VECTOR_FLOW_ENQUEUE', { traceId, printJobId, documentId: null, status: null, payload: { totalPages: total } });
+  lifecycleLog('VECTOR_FLOW_ENQUEUE', {
+    traceId,
+    printJobId,
+    documentId: null,
+    status: null,
+    payload: { totalPages: total, batches: children.length },
+  });
 
   if (DIAG_BULLMQ) {
     traceLog({ traceId, jobId: String(printJobId || ''), event: 'FLOW_ADD_START', payload: { flowSpec } });
@@ -289,7 +336,7 @@ const processPage = async (job) => {
 
   const t0 = Date.now();
 
-  const onePageDoc = await vectorLayoutEngine.createSinglePage(jobDoc.metadata, pageIndex);
+  const onePageDoc = await vectorLayoutEngine.createSinglePage(getRenderMetadata(jobDoc), pageIndex);
   const pageBytes = await onePageDoc.save();
   const ms = Date.now() - t0;
 
@@ -399,7 +446,7 @@ const processBatch = async (job) => {
   const out = [];
   for (let pageIndex = Number(startPage); pageIndex < Number(endPage); pageIndex += 1) {
     const onePageDoc = await withTimeout(
-      vectorLayoutEngine.createSinglePage(jobDoc.metadata, pageIndex),
+      vectorLayoutEngine.createSinglePage(getRenderMetadata(jobDoc), pageIndex),
       30_000,
       `vector render page ${pageIndex}`
     );
@@ -414,7 +461,7 @@ const processBatch = async (job) => {
       throw new Error('SECURITY VIOLATION: Output is not a valid PDF. Vector pipeline broken.');
     }
 
-    const tmpKey = `documents/tmp/${printJobId}/page-${Number(pageIndex)}.pdf`;
+    const tmpKey = `${tmpPrefix(printJobId)}page-${Number(pageIndex)}.pdf`;
     const uploaded = await withTimeout(
       uploadToS3WithKey(Buffer.from(pageBytes), 'application/pdf', tmpKey),
       30_000,
@@ -440,11 +487,122 @@ const processBatch = async (job) => {
     });
   }
 
-  traceLog({ traceId, jobId: String(printJobId), event: 'BATCH_WORKER_DONE', payload: { documentId, ms: Date.now() - batchStart } });
+  traceLog({
+    traceId,
+    jobId: String(printJobId),
+    event: 'BATCH_WORKER_DONE',
+    payload: { documentId, ms: Date.now() - batchStart, templateCache: vectorLayoutEngine.getTemplateCacheStats() },
+  });
 
   return { pages: out };
 };
 
+// Reads the part PDFs back one at a time, in order, and stitches them into the final PDF while it streams
+// to S3 as a multipart upload. Memory holds one part and one upload part, whatever the page count.
+const streamPartsToS3 = async ({ partKeys, finalKey, traceId, printJobId }) => {
+  const upload = await createMultipartUploadToS3(finalKey, 'application/pdf');
+  try {
+    const writer = createStreamingPdfWriter(upload.write);
+    for (const partKey of partKeys) {
+      await writer.appendPdf(await downloadFromS3(partKey));
+    }
+    const { pageCount, size } = await writer.finish();
+    const result = await upload.complete();
+
+    traceLog({
+      traceId,
+      jobId: String(printJobId),
+      event: 'STREAMED_MERGE_DONE',
+      payload: { parts: partKeys.length, pages: pageCount, bytes: size },
+    });
+    return result;
+  } catch (err) {
+    await upload.abort().catch(() => null);
+    throw err;
+  }
+};
+
+// Large outputs: each group of sheets is rendered, saved to a tmp key and released, then the groups are
+// streamed into the final PDF. The caller removes the tmp prefix.
+const renderStreamedToS3 = async ({ jobDoc, metadata, sheets, finalKey, traceId }) => {
+  const printJobId = jobDoc._id.toString();
+  const groupCount = Math.ceil((sheets.end - sheets.start) / STREAM_GROUP_SHEETS);
+  const groupKeys = [];
+
+  for (let group = 0; group < groupCount; group += 1) {
+    const start = sheets.start + group * STREAM_GROUP_SHEETS;
+    const end = Math.min(sheets.end, start + STREAM_GROUP_SHEETS);
+    const groupDoc = await vectorLayoutEngine.createPage(metadata, { start, end });
+    const groupBytes = await groupDoc.save();
+
+    const header = Buffer.from(groupBytes.slice(0, 5)).toString();
+    if (!header.startsWith('%PDF-')) {
+      throw new Error('SECURITY VIOLATION: Output is not a valid PDF. Vector pipeline broken.');
+    }
+
+    const uploaded = await uploadToS3WithKey(Buffer.from(groupBytes), 'application/pdf', `${tmpPrefix(printJobId)}group-${start}.pdf`);
+    groupKeys.push(uploaded.key);
+    await updateProgress(jobDoc, Math.max(jobDoc.progress, 80 + Math.floor(((group + 1) / groupCount) * 10)), 'GROUP_RENDERED', {
+      group,
+      sheets: { start, end },
+    });
+  }
+
+  return streamPartsToS3({ partKeys: groupKeys, finalKey, traceId, printJobId });
+};
+
+// Writes sheets.start..end-1 to `key`: stitched from batch pages when the flow fanned out, streamed in
+// groups when large, built in memory otherwise.
+const writeOutputFile = async ({ jobDoc, metadata, sheets, key, traceId, pageKeys }) => {
+  const printJobId = jobDoc._id.toString();
+  if (pageKeys) {
+    return streamPartsToS3({ partKeys: pageKeys.slice(sheets.start, sheets.end), finalKey: key, traceId, printJobId });
+  }
+  if (sheets.end - sheets.start > STREAM_MIN_SHEETS) {
+    return renderStreamedToS3({ jobDoc, metadata, sheets, finalKey: key, traceId });
+  }
+
+  const pdf = await vectorLayoutEngine.createPage(metadata, sheets);
+  const bytes = await pdf.save();
+
+  const header = Buffer.from(bytes.slice(0, 5)).toString();
+  if (!header.startsWith('%PDF-')) {
+    throw new Error('SECURITY VIOLATION: Output is not a valid PDF. Vector pipeline broken.');
+  }
+  return uploadToS3WithKey(Buffer.from(bytes), 'application/pdf', key);
+};
+
+// Best effort: a leftover tmp object only costs storage, so cleanup never fails the job.
+const cleanupTmpObjects = async ({ traceId, printJobId }) => {
+  try {
+    const deleted = await deleteS3Prefix(tmpPrefix(printJobId));
+    if (DIAG_BULLMQ && deleted > 0) {
+      traceLog({ traceId, jobId: String(printJobId), event: 'TMP_CLEANUP_DONE', payload: { deleted } });
+    }
+  } catch (err) {
+    traceWarn({ traceId, jobId: String(printJobId), event: 'TMP_CLEANUP_FAILED', payload: { message: err?.message || null } });
+  }
+};
+
+// Page keys returned by the batch children, in sheet order; every sheet must be present exactly once.
+const collectBatchPageKeys = (childValues, sheetCount) => {
+  const byPage = new Map();
+  for (const value of Object.values(childValues || {})) {
+    for (const page of Array.isArray(value?.pages) ? value.pages : []) {
+      byPage.set(Number(page.pageIndex), page.key);
+    }
+  }
+
+  const keys = [];
+  for (let pageIndex = 0; pageIndex < sheetCount; pageIndex += 1) {
+    if (!byPage.has(pageIndex)) {
+      throw new Error(`Batch merge failed: page ${pageIndex} was not rendered`);
+    }
+    keys.push(byPage.get(pageIndex));
+  }
+  return keys;
+};
+
 const processMerge = async (job) => {
   const traceIdFromJob = job?.data?.traceId ? String(job.data.traceId) : (job?.parent?.data?.traceId ? String(job.parent.data.traceId) : null);
   if (DIAG_BULLMQ) {
@@ -570,22 +728,45 @@ const processMerge = async (job) => {
 
     const totalPages = Number(jobDoc.totalPages || 1);
 
-    const pdf = await vectorLayoutEngine.createPage(jobDoc.metadata);
-    const bytes = await pdf.save();
+    const finalKey =
+      (typeof jobDoc.outputKey === 'string' && jobDoc.outputKey.trim())
+        ? jobDoc.outputKey.trim()
+        : `documents/final/${rootPrintJobId}.pdf`;
 
-    const header = Buffer.from(bytes.slice(0, 5)).toString();
-    if (!header.startsWith('%PDF-')) {
-      throw new Error('SECURITY VIOLATION: Output is not a valid PDF. Vector pipeline broken.');
+    const renderMetadata = getRenderMetadata(jobDoc);
+    const sheetCount = vectorLayoutEngine.resolveSheetCount(renderMetadata);
+
+    // Pages rendered by 'batch' children (fan-out flows); empty when the merge job renders everything itself.
+    const childValues = await job.getChildrenValues().catch(() => ({}));
+    const batched = Object.keys(childValues || {}).length > 0;
+    const pageKeys = batched ? collectBatchPageKeys(childValues, sheetCount) : null;
+
+    // metadata.outputSplit writes one file per box / sheet run under documents/final/<jobId>/.
+    const split = resolveOutputSplit(renderMetadata, sheetCount);
+    const parts = split
+      ? planOutputParts(renderMetadata, split, sheetCount).map((part) => ({
+        ...part,
+        key: `documents/final/${rootPrintJobId}/${part.fileName}`,
+      }))
+      : [{ index: 0, sheets: { start: 0, end: sheetCount }, key: finalKey }];
+    const streamed = batched || parts.some((part) => part.sheets.end - part.sheets.start > STREAM_MIN_SHEETS);
+
+    const written = [];
+    for (const part of parts) {
+      const uploaded = await writeOutputFile({ jobDoc, metadata: renderMetadata, sheets: part.sheets, key: part.key, traceId, pageKeys });
+      written.push({ ...part, key: uploaded.key, url: uploaded.url });
+      if (split) {
+        await updateProgress(jobDoc, Math.max(jobDoc.progress, 90 + Math.floor(((part.index + 1) / parts.length) * 5)), 'OUTPUT_PART_WRITTEN', {
+          index: part.index,
+          key: uploaded.key,
+        });
+      }
     }
 
     await updateProgress(jobDoc, Math.max(jobDoc.progress, 95), 'FINAL_RENDER_DONE', { totalPages });
 
     const renderMs = Date.now() - mergeStart;
 
-    const finalKey =
-      (typeof jobDoc.outputKey === 'string' && jobDoc.outputKey.trim())
-        ? jobDoc.outputKey.trim()
-        : `documents/final/${rootPrintJobId}.pdf`;
     if (DIAG_BULLMQ) {
       console.log(
         JSON.stringify({
@@ -595,11 +776,25 @@ const processMerge = async (job) => {
           jobId: String(rootPrintJobId),
           ms: renderMs,
           finalKey,
+          streamed,
+          batched,
+          files: written.length,
         })
       );
     }
 
-    const { key, url } = await uploadToS3WithKey(Buffer.from(bytes), 'application/pdf', finalKey);
+    // output.key / url stay the first (or only) file, so single-file consumers keep working.
+    const [{ key, url }] = written;
+    const outputParts = split
+      ? written.map((part) => ({
+        key: part.key,
+        url: part.url,
+        fileName: part.fileName,
+        sheets: part.sheets,
+        firstSerial: part.firstSerial,
+        lastSerial: part.lastSerial,
+      }))
+      : [];
 
     const ttlHours = Number(process.env.FINAL_PDF_TTL_HOURS || 24);
     const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
@@ -615,12 +810,12 @@ const processMerge = async (job) => {
           errorCode: null,
           errorAt: null,
           progress: 100,
-          output: { key, url, expiresAt },
+          output: { key, url, expiresAt, parts: outputParts },
         },
         $push: {
           audit: {
             $each: [
-              { event: 'JOB_DONE', details: { key } },
+              { event: 'JOB_DONE', details: { key, files: written.length } },
               { event: 'MERGE_TIME', details: { ms: renderMs } },
             ],
           },
@@ -650,6 +845,8 @@ const processMerge = async (job) => {
   } catch (e) {
     await releaseRenderLock({ documentId, printJobId: String(rootPrintJobId) });
     throw e;
+  } finally {
+    await cleanupTmpObjects({ traceId, printJobId: rootPrintJobId });
   }
 };
 
@@ -788,6 +985,7 @@ export const startVectorPdfWorkers = () => {
       if (isFinalFailure) {
         const documentId = getDocumentIdFromJobDoc(jobDoc);
         await releaseRenderLock({ documentId, printJobId: String(printJobId) });
+        await cleanupTmpObjects({ traceId, printJobId });
         if (DIAG_BULLMQ) {
           console.log(
             JSON.stringify({